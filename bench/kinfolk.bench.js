@@ -0,0 +1,106 @@
+import { createStore, atom, selector } from '../src/kinfolk.js'
+
+/**
+ * Benchmarks of reading and updating deep and wide selector graphs,
+ * run with `npm run bench`
+ */
+
+const suites = {
+  'deep graph, read when clean': () => {
+    const { store, leaf } = deepGraph(200)
+    return () => store.get(leaf)
+  },
+
+  'deep graph, update and read': () => {
+    const { store, root, leaf } = deepGraph(200)
+    return () => {
+      store.set(root, (n) => n + 1)
+      store.get(leaf)
+    }
+  },
+
+  'deep graph, update unrelated atom and read': () => {
+    const { store, leaf } = deepGraph(200)
+    const other = atom(0)
+    return () => {
+      store.set(other, (n) => n + 1)
+      store.get(leaf)
+    }
+  },
+
+  'wide graph, read when clean': () => {
+    const { store, sum } = wideGraph(1000)
+    return () => store.get(sum)
+  },
+
+  'wide graph, update one of the atoms and read': () => {
+    const { store, atoms, sum } = wideGraph(1000)
+    let i = 0
+    return () => {
+      store.set(atoms[i++ % atoms.length], (n) => n + 1)
+      store.get(sum)
+    }
+  },
+
+  'wide graph, update and notify subscribers': () => {
+    const { store, atoms, selectors } = wideGraph(1000)
+    for (const s of selectors) {
+      store.subscribe(s, () => {})
+    }
+    let i = 0
+    return () => store.set(atoms[i++ % atoms.length], (n) => n + 1)
+  },
+
+  'selector family, read 1000 members': () => {
+    const store = createStore()
+    const base = atom(1)
+    const times = selector((n) => base() * n, { family: { maxSize: 1000 } })
+    return () => {
+      for (let n = 0; n < 1000; n++) store.get(times, { n })
+    }
+  },
+}
+
+function deepGraph(depth) {
+  const store = createStore()
+  const root = atom(0)
+  let leaf = root
+  for (let i = 0; i < depth; i++) {
+    const prev = leaf
+    leaf = selector(() => prev() + 1)
+  }
+  return { store, root, leaf }
+}
+
+function wideGraph(width) {
+  const store = createStore()
+  const atoms = Array.from({ length: width }, () => atom(0))
+  const selectors = atoms.map((a) => selector(() => a() * 2))
+  const sum = selector(() => selectors.reduce((acc, s) => acc + s(), 0))
+  return { store, atoms, selectors, sum }
+}
+
+function bench(name, setup, duration = 500) {
+  const fn = setup()
+  // warm up
+  for (let i = 0; i < 10; i++) fn()
+
+  let ops = 0
+  const start = process.hrtime.bigint()
+  let elapsed = 0
+  while (elapsed < duration) {
+    fn()
+    ops++
+    elapsed = Number(process.hrtime.bigint() - start) / 1e6
+  }
+
+  const rate = Math.round((ops / elapsed) * 1000)
+  console.log(`${name.padEnd(48)} ${String(rate).padStart(10)} ops/sec`)
+}
+
+const filter = process.argv[2]
+for (const [name, setup] of Object.entries(suites)) {
+  if (!filter || name.includes(filter)) {
+    bench(name, setup)
+  }
+}
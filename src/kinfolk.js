@@ -3,6 +3,7 @@ import React, {
   useState,
   useContext,
   useCallback,
+  useEffect,
   useMemo,
   useSyncExternalStore,
 } from 'react'
@@ -26,11 +27,21 @@ import React, {
   Atom state is lazily initialised upon interacting with the atom for the
   first time with a hook. We store this state in a Map in React context.
 
+  node
+  ----
+  Listeners and dependencies between atoms and selectors are tracked
+  between nodes. Each atom's state is itself a node, while selectors keep
+  a node per arg in atomState.nodes, so that each member of a selector
+  family tracks it's own dependencies. Updating an atom marks all of the
+  nodes depending on it as stale, and only the stale nodes re-check their
+  inputs when read, while clean nodes return their memoised value as is.
+
   In summary, we have:
 
   - calling atom() returns an atomRef
   - atomMetas is a map of atomRef -> atomMeta (global)
   - atomStates is a map of atomRef -> atomState (per Provider)
+  - atomState.nodes is a map of arg -> node (per selector)
 
  */
 
@@ -39,6 +50,28 @@ import React, {
  */
 const atomMetas = new WeakMap()
 
+/**
+ * A map of key -> atomRef of all atoms and selectors created with
+ * an explicit key, used to enforce that the keys are unique
+ */
+const atomKeys = new Map()
+
+/**
+ * The channels of all of the synced atoms defined so far, and the
+ * stores able to sync, which open the channels of the synced atoms
+ * as the atoms get defined, so that the stores get the updates of
+ * the atoms even before using them
+ */
+const syncChannels = new Set()
+const syncStores = new Set()
+
+/**
+ * Atoms and selectors created by kinfolk itself for it's own
+ * bookkeeping, such as the history stacks and the selectors wrapping
+ * the subscribed atoms, which are not part of the app state
+ */
+const internalAtoms = new WeakSet()
+
 /*
  * Indices for default atom and selector labeling
  */
@@ -62,32 +95,97 @@ function withGetter(get, fn) {
   }
 }
 
-function evaluateSelectorFn(atomStates, atomRef, arg) {
-  const atom = atomStates.get(atomRef)
+/**
+ * The nodes of the selectors currently being evaluated,
+ * used for detecting circular dependencies
+ */
+const evaluating = []
+
+/**
+ * Errors about circular dependencies, which are not memoised since
+ * the cycle is never linked and so could not invalidate the memo
+ */
+const circularErrors = new WeakSet()
+
+/**
+ * Counts the selector evaluations and the selectors moving between the
+ * stores, which tells whether the dependency graph might have changed
+ */
+let evaluations = 0
+
+function evaluateSelectorFn(store, atomRef, arg) {
+  const atom = store.atomStates.get(atomRef)
+  const node = getNode(store, atomRef, arg)
+  evaluations++
+
+  // keep the previous dependencies to update their mounted state
+  const prevParents = node.mounted ? new Set(node.parents) : null
 
-  // untrack the dependencies of this atom
-  for (const parentAtomRef of atom.parents) {
-    const parentAtom = atomStates.get(parentAtomRef)
-    parentAtom.children.delete(atomRef)
+  // untrack the dependencies of this selector and arg
+  for (const parent of node.parents) {
+    parent.children.delete(node)
   }
-  atom.parents.clear()
+  node.parents.clear()
 
   // create a getter able to track the dependencies
   const inputs = []
   const get = (parentAtomRef, arg) => {
-    // track the dependency tree
-    const parentAtom = getAtom(atomStates, parentAtomRef)
-    atom.parents.add(parentAtomRef)
-    parentAtom.children.add(atomRef)
+    // refuse to link a cycle, looking up the node without creating it
+    // since where the selectors live is only decided when reading them
+    const parent = findNode(store, parentAtomRef, arg)
+    if (parent && parent.evaluating) {
+      const path = evaluating.slice(evaluating.indexOf(parent)).concat(parent)
+      const error = new Error(
+        'Circular dependency between selectors: ' +
+          path.map((node) => nodeLabel(store, node)).join(' -> '),
+      )
+      circularErrors.add(error)
+      throw error
+    }
 
-    // compute the value and keep track of inputs
-    const value = getSnapshot(atomStates, parentAtomRef, arg)
+    // compute the value and keep track of inputs, including
+    // the errors, so that we know when the error changes
+    let value
+    try {
+      value = getSnapshot(store, parentAtomRef, arg)
+    } catch (error) {
+      inputs.push({ atomRef: parentAtomRef, arg, error })
+      throw error
+    } finally {
+      // track the dependency tree, looking up the node after reading
+      // it since reading can move the selector into a nested store
+      const parent = getNode(store, parentAtomRef, arg)
+      node.parents.add(parent)
+      parent.children.add(node)
+    }
     inputs.push({ atomRef: parentAtomRef, arg, value })
     return value
   }
-  const val = withGetter(get, () => atom.selectorFn(arg))
-
-  return [val, inputs]
+  node.evaluating = true
+  evaluating.push(node)
+  try {
+    const value = withGetter(get, () => atom.selectorFn(arg))
+    return { value, inputs }
+  } catch (error) {
+    // suspending is not an error, and neither gets memoised
+    if (isPromise(error) || circularErrors.has(error)) {
+      throw error
+    }
+    return { error, inputs }
+  } finally {
+    node.evaluating = false
+    evaluating.pop()
+    if (prevParents) {
+      for (const parent of node.parents) {
+        remount(store, parent)
+      }
+      for (const parent of prevParents) {
+        if (!node.parents.has(parent)) {
+          remount(store, parent)
+        }
+      }
+    }
+  }
 }
 
 /**
@@ -102,66 +200,321 @@ export function createContext() {
   const useSetter = createUseSetter(KinfolkContext)
   const useReducer = createUseReducer(KinfolkContext)
   const useSelector = createUseSelector(KinfolkContext)
-  return { atom, selector, Provider, useSelector, useSetter, useReducer }
+  const useSelectorLoadable = createUseSelectorLoadable(KinfolkContext)
+  const useBatch = createUseBatch(KinfolkContext)
+  const useResetter = createUseResetter(KinfolkContext)
+  return {
+    atom,
+    selector,
+    Provider,
+    useSelector,
+    useSelectorLoadable,
+    useSetter,
+    useReducer,
+    useBatch,
+    useResetter,
+  }
 }
 
-export const { Provider, useSelector, useSetter, useReducer } = createContext()
+export const {
+  Provider,
+  useSelector,
+  useSelectorLoadable,
+  useSetter,
+  useReducer,
+  useBatch,
+  useResetter,
+} = createContext()
 
 /**
  * Provider stores the state of the atoms to be shared
  * within the wrapped subtree.
  */
 function createProvider(KinfolkContext) {
-  return function Provider({ store, children }) {
-    const [{ atomStates }] = useState(() => store || createStore())
+  return function Provider({ store, scope, initialValues, children }) {
+    const parent = useContext(KinfolkContext)
+    const [value] = useState(() => {
+      if (store) return store
+      // nested Providers with a scope fall through to the parent
+      // store for all of the atoms outside of the scope
+      if (parent && (scope || initialValues)) {
+        return initStore({ parent, scope, initialValues })
+      }
+      return initStore({ initialValues })
+    })
+    // the stores created by the Provider open their channels once mounted
+    // and are destroyed on unmount, the channels are reopened in case the
+    // Provider gets mounted again, as happens in StrictMode
+    useEffect(() => {
+      if (value === store) return
+      openChannels(value)
+      return () => value.destroy()
+    }, [store, value])
     return (
-      <KinfolkContext.Provider value={atomStates}>
+      <KinfolkContext.Provider value={value}>
         {children}
       </KinfolkContext.Provider>
     )
   }
 }
 
-export function atom(initialState, { label } = {}) {
+export function atom(
+  initialState,
+  {
+    key,
+    label,
+    lazy,
+    persist,
+    effects,
+    validate,
+    onInvalid = 'throw',
+    sync,
+  } = {},
+) {
   const atomRef = () => __get(atomRef)
-  if (label) atomRef.label = label
+  if (key) register(atomRef, key)
+  if (label || key) atomRef.label = label || key
   const atomMeta = { initialState }
+  if (lazy) {
+    assert(
+      typeof initialState === 'function',
+      'Lazy atoms require an initializer function',
+    )
+    atomMeta.lazy = true
+  }
+  if (persist) {
+    assert(persist.key || key, 'Persisted atoms require a storage key')
+    atomMeta.persist = {
+      key,
+      serialize: JSON.stringify,
+      deserialize: JSON.parse,
+      version: 0,
+      ...persist,
+    }
+  }
+  if (effects) {
+    atomMeta.effects = effects
+  }
+  if (sync) {
+    assert(key, 'Synced atoms require a key')
+    atomMeta.sync = { channel: 'kinfolk', ...sync }
+    syncChannels.add(atomMeta.sync.channel)
+    for (const store of syncStores) {
+      openChannel(store, atomMeta.sync.channel)
+    }
+  }
+  if (validate) {
+    assert(
+      ['throw', 'reject', 'report'].includes(onInvalid),
+      `Unknown onInvalid option "${onInvalid}"`,
+    )
+    atomMeta.validate = validate
+    atomMeta.onInvalid = onInvalid
+  }
   atomMetas.set(atomRef, atomMeta)
   return atomRef
 }
 
-export function selector(selectorFn, { label, equal, persist = true } = {}) {
+export function selector(
+  selectorFn,
+  { key, label, equal, persist = true, set, family } = {},
+) {
   const selectorRef = (arg) => __get(selectorRef, arg)
-  if (label) selectorRef.label = label
-  const selectorMeta = { selectorFn, equal, persist }
+  if (key) register(selectorRef, key)
+  if (label || key) selectorRef.label = label || key
+  const selectorMeta = { selectorFn, equal, persist, setFn: set }
+  if (family) {
+    selectorMeta.family = { key: familyKey, ...family }
+  }
   atomMetas.set(selectorRef, selectorMeta)
   return selectorRef
 }
 
-function getAtom(atomStates, atomRef) {
+/**
+ * Register the explicit key of the atom or selector, re-registering
+ * the key if the same key is used again, which happens when
+ * modules get re-evaluated during hot module replacement
+ */
+function register(atomRef, key) {
+  if (atomKeys.has(key) && isDev()) {
+    console.warn(
+      `Kinfolk: duplicate atom key "${key}". Keys must be unique, ` +
+        'this warning can be ignored if it was caused by hot module replacement.',
+    )
+  }
+  atomRef.key = key
+  atomKeys.set(key, atomRef)
+}
+
+/**
+ * The key used to identify the atom across stores,
+ * environments and sessions, e.g. when dehydrating the store
+ */
+function stableKey(atomRef) {
+  return atomRef.key || atomRef.label
+}
+
+/**
+ * Atoms being lazily initialised, used for detecting initializers
+ * that end up reading the atom being initialised
+ */
+const initializing = new Set()
+
+/**
+ * The initial state of the atom, where lazy atoms compute it by
+ * calling the initializer, which can read other atoms same as selectors
+ */
+function getInitialState(store, atomRef) {
+  const { initialState, lazy } = atomMetas.get(atomRef)
+  if (!lazy) {
+    return initialState
+  }
+  assert(
+    !initializing.has(atomRef),
+    `Circular dependency in the initial state of atom "${atomRef.label || 'atom'}"`,
+  )
+  initializing.add(atomRef)
+  try {
+    const get = (atomRef, arg) => getSnapshot(store, atomRef, arg)
+    return withGetter(get, initialState)
+  } finally {
+    initializing.delete(atomRef)
+  }
+}
+
+/**
+ * Stores of the nested Providers only hold the scoped atoms and the
+ * selectors depending on them, all other atoms and selectors live
+ * in one of the parent stores
+ */
+function ownerStore(store, atomRef) {
+  while (store.parent && !store.scope.has(atomRef)) {
+    store = store.parent
+  }
+  return store
+}
+
+/**
+ * Find the nested store, from the given store up to the owner of the
+ * selector node, with any of the scoped atoms or selectors the node
+ * depends on, directly or via other selectors
+ */
+function scopedStore(store, owner, node) {
+  if (store.shared.get(node) === evaluations) {
+    return null
+  }
+  const visited = new Set()
+  const visit = (node) => {
+    if (visited.has(node)) return
+    visited.add(node)
+    node.parents.forEach(visit)
+  }
+  node.parents.forEach(visit)
+  for (let scoped = store; scoped !== owner; scoped = scoped.parent) {
+    for (const { atomRef } of visited) {
+      if (scoped.scope.has(atomRef)) return scoped
+    }
+  }
+  store.shared.set(node, evaluations)
+  return null
+}
+
+function getAtom(store, atomRef) {
+  store = ownerStore(store, atomRef)
+  const { atomStates } = store
   if (!atomStates.has(atomRef)) {
     const atomMeta = atomMetas.get(atomRef)
 
     const atom = {
+      atomRef,
       state: null,
-      listeners: new Set(),
-      parents: new Set(),
-      children: new Set(),
       label: atomRef.label,
     }
 
     if (has(atomMeta, 'initialState')) {
-      atom.state = atomMeta.initialState
+      // labelled upfront, since restoring the state can report errors
+      atom.label = atom.label || `atom${++atomLabel}`
+      // the values the store was seeded with take precedence over the
+      // state dehydrated on the server, which takes precedence over the
+      // persisted state, the seeded values are applied lazily so that
+      // they don't count as updates
+      const key = stableKey(atomRef)
+      let restored
+      if (store.initialValues.has(atomRef)) {
+        restored = { state: store.initialValues.get(atomRef) }
+      } else if (key && has(store.snapshot, key)) {
+        restored = { state: store.snapshot[key] }
+      } else if (atomMeta.persist) {
+        restored = hydrate(store, atom, atomMeta.persist)
+      }
+      // the restored state is validated same as the updates, and the
+      // initial state is only computed when there is none to restore
+      if (
+        restored &&
+        !isPromise(restored) &&
+        validate(store, atom, restored.state, true)
+      ) {
+        atom.state = restored.state
+      } else {
+        atom.state = getInitialState(store, atomRef)
+      }
+      // async storages update the atom once the state is read,
+      // unless the atom has been updated in the meantime, where
+      // the errors thrown while updating are reported
+      if (isPromise(restored)) {
+        const initialState = atom.state
+        restored
+          .then((restored) => {
+            if (
+              restored &&
+              atom.state === initialState &&
+              validate(store, atom, restored.state, true)
+            ) {
+              update(store, atomRef, () => restored.state)
+            }
+          })
+          .then(undefined, (error) => report(store, atom, undefined, error))
+      }
+      // the synced atoms take the remote state received before the
+      // atom was used, which is newer than the restored state
+      if (atomMeta.sync && store.remote.has(atomRef.key)) {
+        const remote = store.remote.get(atomRef.key)
+        store.remote.delete(atomRef.key)
+        const { merge } = atomMeta.sync
+        const state = merge ? merge(atom.state, remote.state) : remote.state
+        if (validate(store, atom, state, true)) {
+          atom.state = state
+          atom.synced = [remote.time, remote.source]
+        }
+      }
+      // when the atom gets re-created during hot module replacement
+      // we carry over the state from the previous atom with the same key
+      const prevAtom = atomStates.get(store.keys.get(atomRef.key))
+      if (prevAtom && !isSelector(prevAtom)) {
+        atom.state = prevAtom.state
+      }
+      const state = atom.state
+      watch(store, atom, state, () => atom.state === state)
+      if (atomMeta.sync) {
+        openChannel(store, atomMeta.sync.channel)
+      }
     }
 
     if (has(atomMeta, 'selectorFn')) {
       atom.selectorFn = atomMeta.selectorFn
       atom.equal = atomMeta.equal || shallowEqual
       atom.memo = new Map()
+      atom.nodes = new Map()
+      atom.family = atomMeta.family
       atom.label = atom.label || `selector${++selectorLabel}`
       atom.persist = atomMeta.persist
     } else {
       atom.label = atom.label || `atom${++atomLabel}`
+      Object.assign(atom, createNode(atomRef))
+    }
+
+    if (atomRef.key) {
+      store.keys.set(atomRef.key, atomRef)
     }
 
     atomStates.set(atomRef, atom)
@@ -171,213 +524,1365 @@ function getAtom(atomStates, atomRef) {
 }
 
 /**
- * Whenever we unsubscribe from a selector, we will
- * attempt to delete if it's no longer needed
+ * Dependencies are tracked between nodes, where each atom is
+ * a single node, and each selector has a node per arg, so that
+ * only the affected members of selector families are notified
  */
-function dispose(atomStates, atomRef) {
-  const atom = atomStates.get(atomRef)
-  if (
-    isSelector(atom) &&
-    atom.listeners.size === 0 &&
-    atom.children.size === 0
-  ) {
-    if (!atom.persist) {
-      atomStates.delete(atomRef)
-    }
-    for (const parentAtomRef of atom.parents) {
-      const parentAtom = atomStates.get(parentAtomRef)
-      parentAtom.children.delete(atomRef)
-      dispose(atomStates, parentAtomRef)
-    }
+function createNode(atomRef, arg) {
+  return {
+    atomRef,
+    arg,
+    stale: true,
+    listeners: new Set(),
+    parents: new Set(),
+    children: new Set(),
   }
 }
 
-function getSnapshot(atomStates, atomRef, arg) {
-  const atom = getAtom(atomStates, atomRef)
+/**
+ * Label of the node for error messages, including the arg
+ * for the members of selector families
+ */
+function nodeLabel(store, node) {
+  const { atomStates } = ownerStore(store, node.atomRef)
+  const { label } = atomStates.get(node.atomRef) || node
+  return node.arg === undefined
+    ? label
+    : `${label}(${stableStringify(node.arg)})`
+}
 
-  if (!isSelector(atom)) {
-    return atom.state
+/**
+ * Find the circular dependencies between nodes, which normally get
+ * refused when evaluating, but could be left behind by a bug
+ */
+function findCycles(store) {
+  const cycles = []
+  const done = new Set()
+  const path = []
+  const visit = (node) => {
+    if (done.has(node)) return
+    if (path.includes(node)) {
+      const cycle = path.slice(path.indexOf(node)).concat(node)
+      cycles.push(cycle.map((node) => nodeLabel(store, node)).join(' -> '))
+      return
+    }
+    path.push(node)
+    node.parents.forEach(visit)
+    path.pop()
+    done.add(node)
+  }
+  for (const atom of store.atomStates.values()) {
+    if (isSelector(atom)) atom.nodes.forEach(visit)
+    else visit(atom)
   }
+  return cycles
+}
 
-  if (isDirty(atomStates, atomRef, arg)) {
-    let [value, inputs] = evaluateSelectorFn(atomStates, atomRef, arg)
-    if (atom.memo.has(arg) && atom.equal(atom.memo.get(arg).value, value)) {
-      value = atom.memo.get(arg).value
-    }
-    atom.memo.set(arg, { value, inputs })
+function getNode(store, atomRef, arg) {
+  const atom = getAtom(store, atomRef)
+  if (!isSelector(atom)) {
+    return atom
+  }
+  const key = memoKey(atom, arg)
+  if (!atom.nodes.has(key)) {
+    atom.nodes.set(key, createNode(atomRef, arg))
   }
+  return atom.nodes.get(key)
+}
 
-  return atom.memo.get(arg).value
+/**
+ * Look up the node of the atom or the selector and arg, if it exists
+ */
+function findNode(store, atomRef, arg) {
+  const atom = ownerStore(store, atomRef).atomStates.get(atomRef)
+  return atom && isSelector(atom) ? atom.nodes.get(memoKey(atom, arg)) : atom
 }
 
 /**
- * Given a selector, check if we need to recompute
- * it's value, which is the case if:
- * - nothing is memoised yet
- * - inputs changed since the last time
+ * Read the persisted state of the atom from the storage, which
+ * for async storages is a promise, resolving to nothing in case
+ * there is no stored state, or reading it fails
  */
-function isDirty(atomStates, atomRef, arg) {
-  const atom = getAtom(atomStates, atomRef)
+function hydrate(store, atom, persist) {
+  const { key, deserialize, version, migrate } = persist
+  const storage = getStorage(persist)
 
-  if (!atom.memo.has(arg)) {
-    return true
+  const restore = (raw) => {
+    if (raw === null || raw === undefined) return
+    const stored = deserialize(raw)
+    if (stored.version === version) return stored
+    if (migrate) return { state: migrate(stored.state, stored.version) }
   }
 
-  const { inputs } = atom.memo.get(arg)
+  let raw
+  try {
+    raw = storage.getItem(key)
+  } catch (error) {
+    report(store, atom, undefined, error)
+    return
+  }
+  if (isPromise(raw)) {
+    return raw
+      .then(restore)
+      .then(undefined, (error) => report(store, atom, undefined, error))
+  }
+  try {
+    return restore(raw)
+  } catch (error) {
+    report(store, atom, undefined, error)
+  }
+}
 
-  for (const input of inputs) {
-    const inputValue = getSnapshot(atomStates, input.atomRef, input.arg)
-    if (inputValue !== input.value) {
-      return true
+/**
+ * Write the state of the updated atom to the storage, failed
+ * writes are reported and don't affect the state in the store
+ */
+function persist(store, atomRef, atom) {
+  const { persist } = atomMetas.get(atomRef)
+  if (persist) {
+    const { key, serialize, version } = persist
+    const storage = getStorage(persist)
+    let result
+    try {
+      result = storage.setItem(key, serialize({ state: atom.state, version }))
+    } catch (error) {
+      report(store, atom, undefined, error)
+      return
+    }
+    if (isPromise(result)) {
+      result.then(null, (error) => report(store, atom, undefined, error))
     }
   }
+}
 
-  return false
+function getStorage(persist) {
+  const storage = persist.storage || globalThis.localStorage
+  assert(storage, 'No storage available for persisting atoms')
+  return storage
 }
 
 /**
- * Notify listeners of atom's update
+ * By default synced atoms only open channels in the browser, since on
+ * the server the channels would share the state between the requests
  */
-function notify(atomStates, atomRef) {
-  const atom = atomStates.get(atomRef)
-  atom.listeners.forEach((l) => l())
-  atom.children.forEach((childRef) => notify(atomStates, childRef))
+function defaultCreateChannel(name) {
+  return hasBroadcastChannel() ? new window.BroadcastChannel(name) : null
+}
+
+function hasBroadcastChannel() {
+  const { window } = globalThis
+  return !!(window && window.BroadcastChannel)
 }
 
 /**
- * Listen to atom changes
+ * Open the BroadcastChannel of synced atoms once per store, applying
+ * the updates made in the other tabs to the atoms used in this store
  */
-function subscribe(atomStates, atomRef, fn) {
-  const atom = getAtom(atomStates, atomRef)
-  atom.listeners.add(fn)
-  return function unsubscribe() {
-    atom.listeners.delete(fn)
-    dispose(atomStates, atomRef)
+function openChannel(store, name) {
+  if (store.channels.has(name)) {
+    return
+  }
+  const channel = store.createChannel(name)
+  if (!channel) {
+    return
   }
+  channel.onmessage = ({ data: { key, state, time, source } }) => {
+    const atom = store.atomStates.get(store.keys.get(key))
+    if (!atom) {
+      // the atoms not used in this store yet get the remote state
+      // the first time they're used, merged if the atom merges
+      const atomRef = atomKeys.get(key)
+      const { sync } = (atomRef && atomMetas.get(atomRef)) || {}
+      const last = store.remote.get(key)
+      if (last && sync && sync.merge) {
+        state = sync.merge(last.state, state)
+      } else if (
+        last &&
+        (time < last.time || (time === last.time && source < last.source))
+      ) {
+        return
+      }
+      store.remote.set(key, { state, time, source })
+      return
+    }
+    if (isSelector(atom) || !atomMetas.get(atom.atomRef).sync) {
+      return
+    }
+    // the last writer wins, unless the atom merges the remote state,
+    // where the simultaneous writes are ordered by the store id
+    const { merge } = atomMetas.get(atom.atomRef).sync
+    const [lastTime, lastSource] = atom.synced || [0, '']
+    if (
+      !merge &&
+      (time < lastTime || (time === lastTime && source < lastSource))
+    ) {
+      return
+    }
+    atom.synced = [time, source]
+    // remote updates are not broadcast again to avoid echoing them back
+    store.syncing = true
+    try {
+      update(store, atom.atomRef, (local) =>
+        merge ? merge(local, state) : state,
+      )
+    } finally {
+      store.syncing = false
+    }
+  }
+  store.channels.set(name, channel)
 }
 
 /**
- * Hook to subscribe to atom/selector value
+ * Open the channels of all of the synced atoms, where the stores of the
+ * nested Providers only open the channels of the scoped atoms they use
  */
+function openChannels(store) {
+  if (
+    !store.parent &&
+    (store.createChannel !== defaultCreateChannel || hasBroadcastChannel())
+  ) {
+    syncStores.add(store)
+    for (const name of syncChannels) {
+      openChannel(store, name)
+    }
+  }
+  for (const [atomRef, atom] of store.atomStates) {
+    const { sync } = atomMetas.get(atomRef)
+    if (sync && !isSelector(atom)) {
+      openChannel(store, sync.channel)
+    }
+  }
+}
 
-function createUseSelector(KinfolkContext) {
-  return function useSelector(selectorFnOrRef, deps, options = {}) {
-    const atomStates = useContext(KinfolkContext)
+/**
+ * Broadcast the state of the updated atom to the other tabs
+ */
+function broadcast(store, atomRef, atom) {
+  const { sync } = atomMetas.get(atomRef)
+  const channel = sync && store.channels.get(sync.channel)
+  if (channel && !store.syncing && !isPromise(atom.state)) {
+    const [time, source] = (atom.synced = [Date.now(), store.id])
+    channel.postMessage({ key: atomRef.key, state: atom.state, time, source })
+  }
+}
 
-    // in case someone passed in an atomRef or selectorRef
-    // we wrap it into a selector function that reads the value
-    const selectorFn = isAtomOrSelectorRef(selectorFnOrRef)
-      ? // eslint-disable-next-line react-hooks/rules-of-hooks
-        useCallback(() => selectorFnOrRef(), [selectorFnOrRef])
-      : // eslint-disable-next-line react-hooks/rules-of-hooks, react-hooks/exhaustive-deps
-        useCallback(selectorFnOrRef, deps)
+/**
+ * Create a storage that keeps the values in memory,
+ * useful in tests and in environments without localStorage
+ */
+export function createMemoryStorage() {
+  const items = new Map()
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value))
+    },
+    removeItem: (key) => {
+      items.delete(key)
+    },
+  }
+}
 
-    // notice, we don't re-look at the options after memoising the selectorFn
-    // if the users really want to update equal or label, they should pass
-    // that into the dependencies
-    const atomRef = useMemo(
-      () => selector(selectorFn, { ...options, persist: false }),
-      // eslint-disable-next-line react-hooks/exhaustive-deps
-      [selectorFn],
-    )
+/**
+ * Whenever we unsubscribe from a selector, we will
+ * attempt to delete if it's no longer needed
+ */
+function dispose(store, node) {
+  store = ownerStore(store, node.atomRef)
+  const { atomStates } = store
+  const atom = atomStates.get(node.atomRef)
+  if (
+    atom &&
+    isSelector(atom) &&
+    node.listeners.size === 0 &&
+    node.children.size === 0
+  ) {
+    if (!atom.persist) {
+      const key = memoKey(atom, node.arg)
+      atom.nodes.delete(key)
+      atom.memo.delete(key)
+      if (atom.nodes.size === 0) {
+        atomStates.delete(node.atomRef)
+      }
+    }
+    node.disposed = true
+    for (const parent of node.parents) {
+      parent.children.delete(node)
+      dispose(store, parent)
+    }
+  }
+}
 
-    const { subscribe_, getSnapshot_ } = useMemo(
-      () => ({
-        subscribe_: (cb) => subscribe(atomStates, atomRef, cb),
-        getSnapshot_: () => getSnapshot(atomStates, atomRef),
-      }),
-      [atomStates, atomRef],
+function getSnapshot(store, atomRef, arg) {
+  const owner = ownerStore(store, atomRef)
+  if (owner !== store && isSelector(atomMetas.get(atomRef))) {
+    return getShared(store, owner, atomRef, arg)
+  }
+
+  const atom = getAtom(store, atomRef)
+  if (!isSelector(atom)) {
+    return track(atom.state)
+  }
+
+  // persisted selectors keep their memo after being disposed,
+  // so we re-link them with their dependencies when used again,
+  // looking up the dependencies again in case they got deleted
+  const node = getNode(store, atomRef, arg)
+  if (node.disposed) {
+    node.disposed = false
+    const parents = Array.from(node.parents)
+    node.parents.clear()
+    for (const { atomRef, arg } of parents) {
+      const parent = getNode(store, atomRef, arg)
+      node.parents.add(parent)
+      parent.children.add(node)
+    }
+    // we might have missed updates while unlinked
+    node.stale = true
+  }
+
+  // updates mark the dependent nodes as stale, only the stale nodes
+  // re-check their inputs and clean nodes return the memo straight away
+  const clean = !node.stale && !node.volatile && getMemo(atom, arg)
+  if (!clean && isDirty(store, atomRef, arg)) {
+    // the thrown errors are memoised same as values, so that
+    // the error is rethrown until one of the inputs changes
+    const prev = getMemo(atom, arg)
+    const entry = evaluateSelectorFn(store, atomRef, arg)
+    entry.latest = prev && resolved(prev)
+    const failed = has(entry, 'error')
+    if (!failed && prev && atom.equal(prev.value, entry.value)) {
+      entry.value = prev.value
+    }
+    setMemo(store, atom, arg, entry)
+    // memo entries with a ttl expire without any updates, so such
+    // nodes and their dependents always re-check their inputs
+    node.volatile =
+      !!(atom.family && atom.family.ttl) ||
+      Array.from(node.parents).some((parent) => parent.volatile)
+    // the errors passed on from the inputs were reported already
+    const passedOn = (error) =>
+      entry.inputs.some(
+        (input) =>
+          (has(input, 'error') && input.error === error) ||
+          (isPromise(input.value) && input.value.reason === error),
+      )
+    if (failed) {
+      if (!passedOn(entry.error)) report(store, atom, arg, entry.error)
+    } else if (
+      isPromise(entry.value) &&
+      (!prev || prev.value !== entry.value)
+    ) {
+      entry.value.then(undefined, (reason) => {
+        if (!passedOn(reason)) report(store, atom, arg, reason)
+      })
+    }
+    watch(
+      store,
+      node,
+      entry.value,
+      () =>
+        ownerStore(store, atomRef).atomStates.get(atomRef) === atom &&
+        getMemo(atom, arg) === entry,
     )
+  } else if (atom.family && atom.family.maxSize) {
+    // mark the entry as the most recently used
+    setMemo(store, atom, arg, getMemo(atom, arg))
+  }
 
-    return useSyncExternalStore(subscribe_, getSnapshot_)
+  node.stale = false
+  const entry = getMemo(atom, arg)
+  if (has(entry, 'error')) {
+    throw entry.error
   }
+  return track(entry.value)
 }
 
 /**
- * Update the state of the atom
- * notifying all dependends in the process
+ * Selectors are shared with the parent stores, unless they depend on
+ * the atoms scoped to the nested stores, as told by the dependencies
+ * recorded when the selector was last evaluated, so that the parent
+ * stores never evaluate the selectors with the wrong atoms. Selectors
+ * not evaluated yet are evaluated in the nested store, and then moved
+ * up to the parent store unless they depend on the scoped atoms
  */
-function update(atomStates, atomRef, updater) {
-  const atom = getAtom(atomStates, atomRef)
-  assert(!isSelector(atom), 'Only atoms can be updated')
-  const curr = atom.state
-  atom.state = updater(atom.state)
-  if (curr !== atom.state) {
-    notify(atomStates, atomRef)
+function getShared(store, owner, atomRef, arg) {
+  const shared = owner.atomStates.get(atomRef)
+  if (shared && getMemo(shared, arg)) {
+    const node = getNode(owner, atomRef, arg)
+    if (!scopedStore(store, owner, node)) {
+      const value = getSnapshot(owner, atomRef, arg)
+      // the selector might have started to depend on the scoped atoms
+      const scoped = scopedStore(store, owner, node)
+      if (!scoped) return value
+      scopeSelector(scoped, atomRef)
+      return getSnapshot(store, atomRef, arg)
+    }
+  }
+
+  scopeSelector(store, atomRef)
+  let result
+  try {
+    result = { value: getSnapshot(store, atomRef, arg) }
+  } catch (error) {
+    result = { error }
+  }
+  const local = store.atomStates.get(atomRef)
+  const node = local.nodes.get(memoKey(local, arg))
+  const target = (node && scopedStore(store, owner, node)) || owner
+  if (
+    target !== store &&
+    !target.atomStates.has(atomRef) &&
+    local.nodes.size === 1
+  ) {
+    store.atomStates.delete(atomRef)
+    store.scope.delete(atomRef)
+    target.atomStates.set(atomRef, local)
+    if (target.parent) scopeSelector(target, atomRef)
+  }
+  if (has(result, 'error')) {
+    throw result.error
   }
+  return result.value
 }
 
 /**
- * Hook for updating atom using a reducer
+ * Make the selector local to the nested store
  */
-function createUseReducer(KinfolkContext) {
-  return function useReducer(atomRef, reducer) {
-    const atomStates = useContext(KinfolkContext)
-
-    return useCallback(
-      function dispatch(action) {
-        update(atomStates, atomRef, (state) => reducer(state, action))
-      },
-      [atomStates, atomRef, reducer],
-    )
-  }
+function scopeSelector(store, atomRef) {
+  store.scope.add(atomRef)
+  evaluations++
 }
 
 /**
- * Hook for updating atom using a setter
+ * Pass the errors thrown in selectors and the rejections of
+ * async selectors to the onError option of the store
  */
-function createUseSetter(KinfolkContext) {
-  const useReducer = createUseReducer(KinfolkContext)
-  return function useSetter(atomRef) {
-    return useReducer(atomRef, setReducer)
+function report(store, atom, arg, error) {
+  // the wrappers of useSelector and store.subscribe rethrow the
+  // errors of the wrapped selector, which was reported already
+  if (store.onError && !internalAtoms.has(atom.atomRef)) {
+    const { atomRef, label } = atom
+    store.onError(error, { atomRef, arg, label })
   }
 }
 
 /**
- * The reducer used inside useSetter
- * hoisted out of that hook for perf
+ * Selectors memoise a value per arg, by default keyed by the arg
+ * identity, or by the key serializer of the selector family
  */
-function setReducer(state, update) {
-  return typeof update === 'function' ? update(state) : update
+function memoKey(atom, arg) {
+  return atom.family ? atom.family.key(arg) : arg
+}
+
+function getMemo(atom, arg) {
+  return atom.memo.get(memoKey(atom, arg))
 }
 
 /**
- * Store is where atomStates are stored,
- * and can be used to externally (outside of React render tree)
- * inspect or modify the contents of the store
+ * Store the memo entry, and in selector families evict
+ * the expired and the least recently used entries
  */
-export function createStore() {
-  const store = {
-    // for debugging, not a public API
-    atomMetas,
+function setMemo(store, atom, arg, entry) {
+  const key = memoKey(atom, arg)
+  if (!atom.family) {
+    atom.memo.set(key, entry)
+    return
+  }
 
-    // for debugging, not a public API
-    atomStates: new Map(),
+  const { maxSize, ttl } = atom.family
+  atom.memo.delete(key)
+  atom.memo.set(key, entry)
 
-    // get a value of an atom
-    get(atomRef, arg) {
-      const { atomStates } = store
-      return getSnapshot(atomStates, atomRef, arg)
-    },
+  if (ttl) {
+    entry.time = entry.time || Date.now()
+    for (const [key, entry] of atom.memo) {
+      if (isExpired(atom, entry)) evictMemo(store, atom, key)
+    }
+  }
 
-    // update the value of an atom
-    set(atomRef, value) {
-      const { atomStates } = store
-      update(atomStates, atomRef, (state) =>
-        typeof value === 'function' ? value(state) : value,
-      )
-    },
+  if (maxSize) {
+    for (const key of atom.memo.keys()) {
+      if (atom.memo.size <= maxSize) break
+      evictMemo(store, atom, key)
+    }
+  }
+}
 
-    // read out all of values in the entire app
-    // keyed by the atom label (generated or provided)
-    // and also include all of the current selector
-    // state in the __selectors key
-    debug() {
-      const { atomStates } = store
-      const result = { __selectors: {} }
-      for (const atomState of atomStates.values()) {
-        const { label, selectorFn, state, memo } = atomState
-        const dest = selectorFn ? result.__selectors : result
+/**
+ * Drop the memoised value, and the node too unless it's still in use
+ */
+function evictMemo(store, atom, key) {
+  atom.memo.delete(key)
+  const node = atom.nodes.get(key)
+  if (node) {
+    invalidate(node)
+  }
+  if (node && node.listeners.size === 0 && node.children.size === 0) {
+    atom.nodes.delete(key)
+    for (const parent of node.parents) {
+      parent.children.delete(node)
+      dispose(store, parent)
+    }
+  }
+}
+
+/**
+ * Mark all of the nodes depending on the given node as stale, stopping
+ * at the nodes already marked stale, since their dependents are too
+ */
+function invalidate(node) {
+  for (const child of node.children) {
+    if (!child.stale) {
+      child.stale = true
+      invalidate(child)
+    }
+  }
+}
+
+function isExpired(atom, entry) {
+  const ttl = atom.family && atom.family.ttl
+  return !!ttl && Date.now() - entry.time > ttl
+}
+
+/**
+ * Given a selector, check if we need to recompute
+ * it's value, which is the case if:
+ * - nothing is memoised yet
+ * - inputs changed since the last time
+ */
+function isDirty(store, atomRef, arg) {
+  const atom = getAtom(store, atomRef)
+  const entry = getMemo(atom, arg)
+
+  if (!entry || isExpired(atom, entry)) {
+    return true
+  }
+
+  const { inputs } = entry
+
+  for (const input of inputs) {
+    let changed
+    try {
+      const inputValue = getSnapshot(store, input.atomRef, input.arg)
+      changed = has(input, 'error') || inputValue !== input.value
+    } catch (error) {
+      changed = !has(input, 'error') || error !== input.error
+    }
+    if (changed) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Read the atom or selector without suspending or throwing,
+ * where while loading or in case of an error we return
+ * the latest previously resolved value
+ */
+function getLoadable(store, atomRef, arg) {
+  let value
+  try {
+    value = getSnapshot(store, atomRef, arg)
+  } catch (error) {
+    // atoms only throw when they fail to initialize, so there
+    // is no previous value to fall back to
+    const atom = ownerStore(store, atomRef).atomStates.get(atomRef)
+    const entry = atom && isSelector(atom) ? getMemo(atom, arg) : undefined
+    return { state: 'hasError', value: entry && resolved(entry), error }
+  }
+
+  if (!isPromise(value) || value.status === 'fulfilled') {
+    return { state: 'hasValue', value: unwrap(value), error: undefined }
+  }
+
+  const atom = getAtom(store, atomRef)
+  const prev = isSelector(atom) ? getMemo(atom, arg).latest : atom.latest
+  if (value.status === 'rejected') {
+    return { state: 'hasError', value: prev, error: value.reason }
+  }
+  return { state: 'loading', value: prev, error: undefined }
+}
+
+/**
+ * Given a memo entry, return it's most recent
+ * resolved value, looking past any pending promise
+ */
+function resolved(entry) {
+  const { value, latest } = entry
+  if (has(entry, 'error')) return latest
+  if (!isPromise(value)) return value
+  return value.status === 'fulfilled' ? value.value : latest
+}
+
+/**
+ * Notify listeners once the promise stored in the atom
+ * or selector settles, as long as it's still the current value
+ */
+function watch(store, node, value, isCurrent) {
+  if (!isPromise(track(value)) || value.status !== 'pending') {
+    return
+  }
+  const settled = () => {
+    if (isCurrent()) {
+      notify(store, [node])
+    }
+  }
+  value.then(settled, settled)
+}
+
+/**
+ * Notify listeners of nodes' update and of all their dependents. The
+ * affected nodes are collected first and the listeners are called in
+ * topological order, i.e. the listeners of a node are called only after
+ * the listeners of all of the node's updated dependencies, and each
+ * listener is called only once even if it depends on several of the nodes
+ */
+function notify(store, nodes) {
+  // the reverse of the depth first post-order is a topological order,
+  // we visit in reverse so that the siblings keep their insertion order
+  const levels = new Map()
+  const sorted = []
+  const visit = (node) => {
+    levels.set(node, 0)
+    const children = Array.from(node.children)
+    for (let i = children.length - 1; i >= 0; i--) {
+      if (!levels.has(children[i])) visit(children[i])
+    }
+    sorted.push(node)
+  }
+  const roots = Array.from(nodes)
+  for (let i = roots.length - 1; i >= 0; i--) {
+    if (!levels.has(roots[i])) visit(roots[i])
+  }
+  sorted.reverse()
+
+  // group the nodes by the longest path from the updated nodes, so that
+  // the listeners of useSelector and store.subscribe, which listen via
+  // wrapper selectors, get called right after the nodes they wrap
+  const buckets = []
+  for (const node of sorted) {
+    const level = levels.get(node)
+    for (const child of node.children) {
+      if (levels.get(child) <= level) levels.set(child, level + 1)
+    }
+    if (!buckets[level]) buckets[level] = []
+    buckets[level].push(node)
+  }
+
+  const listeners = new Set()
+  for (const bucket of buckets) {
+    for (const node of bucket) {
+      node.listeners.forEach((l) => listeners.add(l))
+    }
+  }
+  listeners.forEach((l) => l())
+}
+
+/**
+ * Listen to atom changes
+ */
+function subscribe(store, atomRef, fn, arg) {
+  const node = getNode(store, atomRef, arg)
+  const owner = ownerStore(store, atomRef)
+  node.listeners.add(fn)
+  remount(store, node)
+  return function unsubscribe() {
+    node.listeners.delete(fn)
+    remount(store, node)
+    dispose(owner, node)
+  }
+}
+
+/**
+ * Atoms and selectors are mounted while they have listeners
+ * or mounted dependents, recheck if that's still the case
+ * and propagate the change to the dependencies
+ */
+function remount(store, node) {
+  let mounted = node.listeners.size > 0
+  for (const child of node.children) {
+    mounted = mounted || !!child.mounted
+  }
+
+  if (mounted === !!node.mounted) return
+  node.mounted = mounted
+
+  runEffects(store, node)
+
+  for (const parent of node.parents) {
+    remount(store, parent)
+  }
+}
+
+/**
+ * Run the onMount effect of the atom when it gets it's first
+ * subscriber, and the cleanup once the last one unsubscribes
+ */
+function runEffects(store, node) {
+  const { atomRef } = node
+  const { effects } = atomMetas.get(atomRef)
+  if (!effects) return
+
+  if (node.mounted) {
+    if (effects.onMount) {
+      node.cleanup = effects.onMount({
+        get: () => getSnapshot(store, atomRef),
+        set: (value) => setValue(store, atomRef, value),
+      })
+    }
+  } else {
+    const { cleanup } = node
+    node.cleanup = null
+    if (typeof cleanup === 'function') cleanup()
+    if (effects.onUnmount) effects.onUnmount()
+  }
+}
+
+/**
+ * Hook to subscribe to atom/selector value
+ */
+
+function createUseSelector(KinfolkContext) {
+  return function useSelector(selectorFnOrRef, deps, options = {}) {
+    const store = useContext(KinfolkContext)
+
+    // in case someone passed in an atomRef or selectorRef
+    // we wrap it into a selector function that reads the value
+    const selectorFn = isAtomOrSelectorRef(selectorFnOrRef)
+      ? // eslint-disable-next-line react-hooks/rules-of-hooks
+        useCallback(() => selectorFnOrRef(), [selectorFnOrRef])
+      : // eslint-disable-next-line react-hooks/rules-of-hooks, react-hooks/exhaustive-deps
+        useCallback(selectorFnOrRef, deps)
+
+    // notice, we don't re-look at the options after memoising the selectorFn
+    // if the users really want to update equal or label, they should pass
+    // that into the dependencies
+    const atomRef = useMemo(() => {
+      const atomRef = selector(selectorFn, { ...options, persist: false })
+      if (isAtomOrSelectorRef(selectorFnOrRef)) internalAtoms.add(atomRef)
+      return atomRef
+      // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [selectorFn])
+
+    const { subscribe_, getSnapshot_ } = useMemo(
+      () => ({
+        subscribe_: (cb) => subscribe(store, atomRef, cb),
+        getSnapshot_: () => getSnapshot(store, atomRef),
+      }),
+      [store, atomRef],
+    )
+
+    return unwrap(useSyncExternalStore(subscribe_, getSnapshot_))
+  }
+}
+
+/**
+ * Atoms and selectors can hold promises. We keep track of
+ * the status of each promise using the same status/value/reason
+ * fields as React's use(), so that once the promise settles
+ * we can read the result synchronously
+ */
+function track(value) {
+  if (!isPromise(value) || value.status) {
+    return value
+  }
+  value.status = 'pending'
+  value.then(
+    (result) => {
+      value.status = 'fulfilled'
+      value.value = result
+    },
+    (reason) => {
+      value.status = 'rejected'
+      value.reason = reason
+    },
+  )
+  return value
+}
+
+/**
+ * Read the resolved value of a promise, suspending
+ * if the promise is still pending and throwing to the
+ * nearest error boundary if the promise got rejected
+ */
+function unwrap(value) {
+  if (!isPromise(value)) {
+    return value
+  }
+  track(value)
+  if (value.status === 'fulfilled') {
+    return value.value
+  }
+  if (value.status === 'rejected') {
+    throw value.reason
+  }
+  throw value
+}
+
+/**
+ * Hook to read atom/selector value without suspending
+ */
+function createUseSelectorLoadable(KinfolkContext) {
+  return function useSelectorLoadable(atomRef, arg) {
+    const store = useContext(KinfolkContext)
+
+    // getLoadable returns a fresh object each time, so we
+    // hold on to the previous one to keep the snapshot stable
+    const { subscribe_, getSnapshot_ } = useMemo(() => {
+      let loadable
+      return {
+        subscribe_: (cb) => subscribe(store, atomRef, cb, arg),
+        getSnapshot_: () => {
+          const next = getLoadable(store, atomRef, arg)
+          if (!loadable || !loadableEqual(loadable, next)) {
+            loadable = next
+          }
+          return loadable
+        },
+      }
+    }, [store, atomRef, arg])
+
+    return useSyncExternalStore(subscribe_, getSnapshot_)
+  }
+}
+
+function loadableEqual(a, b) {
+  return (
+    a.state === b.state &&
+    Object.is(a.value, b.value) &&
+    Object.is(a.error, b.error)
+  )
+}
+
+/**
+ * Set the atom or writable selector to the value, or apply the value
+ * if it's an updater function, where writable selectors are only read
+ * for the updater functions, so that setting a value can repair the
+ * atoms underlying a selector that throws
+ */
+function setValue(store, atomRef, value, arg) {
+  if (typeof value !== 'function' && isSelector(atomMetas.get(atomRef))) {
+    writeSelector(store, atomRef, value, arg)
+  } else {
+    update(store, atomRef, (state) => setReducer(state, value), arg)
+  }
+}
+
+/**
+ * Writable selectors fan out the update to the underlying atoms,
+ * all batched into a single notification, where the atoms are
+ * looked up from the store the update was made in
+ */
+function writeSelector(store, atomRef, value, arg) {
+  const { setFn } = atomMetas.get(atomRef)
+  assert(setFn, 'Only atoms and writable selectors can be updated')
+  batch(store, () => {
+    const get = (atomRef, arg) => getSnapshot(store, atomRef, arg)
+    const set = (atomRef, value, arg) => setValue(store, atomRef, value, arg)
+    setFn({ get, set }, value, arg)
+  })
+}
+
+/**
+ * Update the state of the atom
+ * notifying all dependends in the process
+ */
+function update(store, atomRef, updater, arg) {
+  const atom = getAtom(store, atomRef)
+
+  if (isSelector(atom)) {
+    const value = updater(getSnapshot(store, atomRef, arg))
+    writeSelector(store, atomRef, value, arg)
+    return
+  }
+
+  store = ownerStore(store, atomRef)
+  batch(store, () => {
+    const curr = atom.state
+    const next = updater(atom.state)
+    if (curr === next) return
+
+    const commit = (next) =>
+      batch(store, () => {
+        const curr = atom.state
+        if (curr === next || !validate(store, atom, next)) return
+        // remember the state before the batch for the rollback
+        if (!store.changes.has(atomRef)) {
+          store.changes.set(atomRef, curr)
+        }
+        atom.state = next
+        atom.latest = resolved({ value: curr, latest: atom.latest })
+        invalidate(atom)
+        watch(store, atom, next, () => atom.state === next)
+      })
+
+    // pass the update through the middleware, where each middleware
+    // calls the next one with the next state, possibly transformed,
+    // or skips calling it to veto the update
+    const middleware = internalAtoms.has(atomRef) ? [] : store.middleware
+    const dispatch = middleware.reduceRight(
+      (dispatch, fn) => (next) => fn(atomRef, curr, next, dispatch),
+      commit,
+    )
+    dispatch(next)
+  })
+}
+
+/**
+ * Check the next state against the validate option of the atom,
+ * returns whether the state should be applied. Invalid states throw,
+ * or get rejected or applied anyway and reported to the onError
+ * option of the store, depending on the onInvalid option of the atom,
+ * while the invalid restored states, i.e. the persisted, dehydrated or
+ * seeded states, are always rejected and reported, so that the atom
+ * keeps being readable
+ */
+function validate(store, atom, state, restoring = false) {
+  const { validate, onInvalid } = atomMetas.get(atom.atomRef)
+  if (!validate) return true
+
+  // a plain predicate, a Standard Schema or an object with a
+  // Standard Schema-style validate method returning the issues
+  let issues
+  if (typeof validate === 'function') {
+    issues = validate(state) ? undefined : []
+  } else {
+    const schema = validate['~standard'] || validate
+    const result = schema.validate(state)
+    assert(!isPromise(result), 'Async validation is not supported')
+    issues = result.issues
+  }
+  if (!issues) return true
+
+  const messages = issues.map((issue) => issue.message).join(', ')
+  const error = new Error(
+    `Invalid state of atom "${atom.label}"` + (messages ? `: ${messages}` : ''),
+  )
+  error.issues = issues
+  if (onInvalid === 'throw' && !restoring) {
+    throw error
+  }
+  report(store, atom, undefined, error)
+  return onInvalid === 'report' && !restoring
+}
+
+/**
+ * Reset the atom to it's initial state, or the state it was seeded with,
+ * or without an atomRef reset all of the atoms in the store and clear
+ * all of the memoised selector values, all in a single notification
+ */
+function reset(store, atomRef) {
+  const initialState = (atomRef) =>
+    store.initialValues.has(atomRef)
+      ? store.initialValues.get(atomRef)
+      : getInitialState(store, atomRef)
+
+  if (atomRef) {
+    assert(!isSelector(atomMetas.get(atomRef)), 'Only atoms can be reset')
+    update(store, atomRef, () => initialState(atomRef))
+    return
+  }
+
+  batch(store, () => {
+    for (const [atomRef, atom] of store.atomStates) {
+      if (isSelector(atom)) {
+        atom.memo.clear()
+        for (const node of atom.nodes.values()) {
+          invalidate(node)
+          store.evicted.add(node)
+        }
+      } else if (!internalAtoms.has(atomRef)) {
+        update(store, atomRef, () => initialState(atomRef))
+      }
+    }
+  })
+}
+
+/**
+ * Run fn deferring all notifications until the outermost
+ * batch completes. If fn throws, the atoms updated within
+ * this batch are rolled back to their previous states
+ */
+function batch(store, fn) {
+  // batches in nested stores also batch the updates of the parent
+  // stores, so that all of them are notified and rolled back together
+  if (store.parent && !store.parent.changes) {
+    return batch(store.parent, () => batch(store, fn))
+  }
+
+  const parent = store.changes
+  const changes = new Map()
+  store.changes = changes
+
+  let result
+  try {
+    result = fn()
+  } catch (err) {
+    for (const [atomRef, state] of changes) {
+      const atom = store.atomStates.get(atomRef)
+      atom.state = state
+      invalidate(atom)
+    }
+    throw err
+  } finally {
+    store.changes = parent
+  }
+
+  if (parent) {
+    for (const [atomRef, state] of changes) {
+      if (!parent.has(atomRef)) {
+        parent.set(atomRef, state)
+      }
+    }
+  } else {
+    const updated = new Map()
+    for (const [atomRef, state] of changes) {
+      const atom = store.atomStates.get(atomRef)
+      if (atom.state !== state) {
+        persist(store, atomRef, atom)
+        broadcast(store, atomRef, atom)
+        const { effects } = atomMetas.get(atomRef)
+        if (effects && effects.onSet) {
+          effects.onSet(atom.state, state)
+        }
+        updated.set(atomRef, state)
+      }
+    }
+    const nodes = Array.from(updated.keys(), (a) => store.atomStates.get(a))
+    nodes.push(...store.evicted)
+    store.evicted.clear()
+    if (nodes.length > 0) {
+      notify(store, nodes)
+    }
+    if (updated.size > 0) {
+      store.observers.forEach((observer) => observer(updated))
+    }
+  }
+
+  return result
+}
+
+/**
+ * Hook for batching several updates into a single notification
+ */
+function createUseBatch(KinfolkContext) {
+  return function useBatch() {
+    const store = useContext(KinfolkContext)
+    return useCallback((fn) => batch(store, fn), [store])
+  }
+}
+
+/**
+ * Hook for resetting an atom to it's initial state
+ */
+function createUseResetter(KinfolkContext) {
+  return function useResetter(atomRef) {
+    const store = useContext(KinfolkContext)
+    return useCallback(() => reset(store, atomRef), [store, atomRef])
+  }
+}
+
+/**
+ * Hook for updating atom using a reducer
+ */
+function createUseReducer(KinfolkContext) {
+  return function useReducer(atomRef, reducer, arg) {
+    const store = useContext(KinfolkContext)
+
+    return useCallback(
+      function dispatch(action) {
+        update(store, atomRef, (state) => reducer(state, action), arg)
+      },
+      [store, atomRef, reducer, arg],
+    )
+  }
+}
+
+/**
+ * Hook for updating atom using a setter
+ */
+function createUseSetter(KinfolkContext) {
+  return function useSetter(atomRef, arg) {
+    const store = useContext(KinfolkContext)
+
+    return useCallback(
+      function set(value) {
+        setValue(store, atomRef, value, arg)
+      },
+      [store, atomRef, arg],
+    )
+  }
+}
+
+/**
+ * The reducer used for setting the values
+ * hoisted out of setValue for perf
+ */
+function setReducer(state, update) {
+  return typeof update === 'function' ? update(state) : update
+}
+
+/**
+ * Store is where atomStates are stored,
+ * and can be used to externally (outside of React render tree)
+ * inspect or modify the contents of the store
+ */
+export function createStore(options) {
+  const store = initStore(options)
+  openChannels(store)
+  return store
+}
+
+/**
+ * Create the store without opening the channels of the synced atoms,
+ * used by the Provider, which opens them once mounted, so that the
+ * stores discarded by the concurrent renders don't keep them open
+ */
+function initStore({
+  initialState,
+  parent,
+  scope = [],
+  initialValues = [],
+  onError = parent && parent.onError,
+  middleware = parent ? parent.middleware : [],
+  createChannel = parent ? parent.createChannel : defaultCreateChannel,
+} = {}) {
+  initialValues = new Map(initialValues)
+  for (const atomRef of initialValues.keys()) {
+    assert(
+      atomMetas.has(atomRef) && !isSelector(atomMetas.get(atomRef)),
+      'Only atoms can be seeded with initialValues',
+    )
+  }
+  const store = {
+    // for debugging, not a public API
+    atomMetas,
+
+    // for debugging, not a public API
+    atomStates: new Map(),
+
+    // atoms updated within the current batch, not a public API
+    changes: null,
+
+    // dehydrated atom states keyed by key or label, not a public API
+    snapshot: { ...initialState },
+
+    // a map of key -> atomRef of the atoms used in this store,
+    // not a public API
+    keys: new Map(),
+
+    // functions called with a map of atomRef -> previous state
+    // of all the atoms updated in a batch, not a public API
+    observers: new Set(),
+
+    // selector nodes with evicted memo to be notified once
+    // the current batch completes, not a public API
+    evicted: new Set(),
+
+    // called with the errors thrown in selectors, not a public API
+    onError,
+
+    // functions wrapping every atom update, not a public API
+    middleware,
+
+    // a map of name -> BroadcastChannel of the synced atoms,
+    // and whether the remote updates are being applied,
+    // not a public API
+    channels: new Map(),
+    syncing: false,
+
+    // creates the channels of the synced atoms, not a public API
+    createChannel,
+
+    // a map of key -> the latest remote state of the synced atoms
+    // not used in this store yet, not a public API
+    remote: new Map(),
+
+    // a random id of the store, not a public API
+    id: Math.random().toString(36).slice(2),
+
+    // the store of the parent Provider and the atoms scoped to this
+    // store, not a public API
+    parent,
+    scope: new Set([...scope, ...initialValues.keys()]),
+
+    // the selector nodes of the parent stores checked not to depend on
+    // the scoped atoms, as of the evaluation count, not a public API
+    shared: new WeakMap(),
+
+    // a map of atomRef -> the value to seed the atom with, not a public API
+    initialValues,
+
+    // get a value of an atom
+    get(atomRef, arg) {
+      return getSnapshot(store, atomRef, arg)
+    },
+
+    // get a value of an atom or selector without suspending,
+    // returns { state: 'loading' | 'hasValue' | 'hasError', value, error }
+    getLoadable(atomRef, arg) {
+      return getLoadable(store, atomRef, arg)
+    },
+
+    // get the error thrown by a selector or the rejection reason
+    // of an async atom or selector, or undefined if there is none
+    getError(atomRef, arg) {
+      const { state, error } = getLoadable(store, atomRef, arg)
+      return state === 'hasError' && !isPromise(error) ? error : undefined
+    },
+
+    // update the value of an atom or a writable selector
+    set(atomRef, value, arg) {
+      setValue(store, atomRef, value, arg)
+    },
+
+    // drop the memoised value of the selector for the given arg,
+    // the value gets recomputed the next time it's read
+    evict(selectorRef, arg) {
+      const { atomStates } = ownerStore(store, selectorRef)
+      const atom = atomStates.get(selectorRef)
+      if (atom && isSelector(atom)) {
+        const key = memoKey(atom, arg)
+        atom.memo.delete(key)
+        if (atom.nodes.has(key)) {
+          invalidate(atom.nodes.get(key))
+          notify(store, [atom.nodes.get(key)])
+        }
+      }
+    },
+
+    // drop all of the memoised values of the selector
+    evictAll(selectorRef) {
+      const { atomStates } = ownerStore(store, selectorRef)
+      const atom = atomStates.get(selectorRef)
+      if (atom && isSelector(atom)) {
+        atom.memo.clear()
+        for (const node of atom.nodes.values()) {
+          invalidate(node)
+        }
+        notify(store, atom.nodes.values())
+      }
+    },
+
+    // close the channels of the synced atoms, after which
+    // the store no longer syncs with the other tabs
+    destroy() {
+      syncStores.delete(store)
+      for (const channel of store.channels.values()) {
+        channel.onmessage = null
+        channel.close()
+      }
+      store.channels.clear()
+    },
+
+    // reset the atom to it's initial state, or without an atomRef
+    // reset all of the atoms and clear all of the selector values
+    reset(atomRef) {
+      reset(store, atomRef)
+    },
+
+    // update several atoms, notifying listeners once all of
+    // the updates are applied, rolls back the updates if fn throws
+    batch(fn) {
+      return batch(store, fn)
+    },
+
+    // listen to changes of an atom or selector outside of React,
+    // the listener is called with the next and previous value
+    // every time the value changes, returns an unsubscribe function.
+    // While the selector throws the listener is not called, the
+    // errors are reported to onError when the selector is evaluated
+    subscribe(atomRef, listener, arg) {
+      // same as in useSelector, we wrap the atomRef into a
+      // selector that gets disposed once we unsubscribe
+      const selectorRef = selector(() => atomRef(arg), { persist: false })
+      internalAtoms.add(selectorRef)
+
+      // a throwing selector must not break notifying the other listeners
+      const read = () => {
+        try {
+          return { value: getSnapshot(store, selectorRef) }
+        } catch (error) {
+          return { error }
+        }
+      }
+      let value = read().value
+      return subscribe(store, selectorRef, () => {
+        const next = read()
+        if (!has(next, 'error') && next.value !== value) {
+          const prev = value
+          value = next.value
+          listener(value, prev)
+        }
+      })
+    },
+
+    // serialize the states of all atoms used in this store,
+    // keyed by their key or label, to be hydrated on the client
+    dehydrate() {
+      const snapshot = {}
+      for (const [atomRef, atom] of store.atomStates) {
+        if (isSelector(atom) || internalAtoms.has(atomRef)) continue
+        const key = stableKey(atomRef)
+        assert(
+          key,
+          `Cannot dehydrate atom "${atom.label}" without a key or label, ` +
+            'generated labels are not stable between server and client',
+        )
+        assert(
+          !has(snapshot, key),
+          `Cannot dehydrate atoms with a duplicate key "${key}"`,
+        )
+        const { state } = atom
+        if (!isPromise(state)) {
+          snapshot[key] = state
+        } else if (state.status === 'fulfilled') {
+          snapshot[key] = state.value
+        }
+      }
+      return snapshot
+    },
+
+    // seed the atoms with dehydrated state, atoms that are
+    // already used get updated, the rest pick up their state
+    // when first used
+    hydrate(snapshot) {
+      Object.assign(store.snapshot, snapshot)
+      batch(store, () => {
+        for (const [atomRef, atom] of store.atomStates) {
+          const key = stableKey(atomRef)
+          if (
+            !isSelector(atom) &&
+            key &&
+            has(snapshot, key) &&
+            validate(store, atom, snapshot[key], true)
+          ) {
+            update(store, atomRef, () => snapshot[key])
+          }
+        }
+      })
+    },
+
+    // record the updates of the given atoms for undo/redo, with
+    // all updates made within a single batch grouped into one entry
+    history(atomRefs, { limit = Infinity } = {}) {
+      assert(limit >= 0, 'History limit must be zero or more')
+      return createHistory(store, atomRefs, { limit })
+    },
+
+    // read out all of values in the entire app
+    // keyed by the atom label (generated or provided)
+    // and also include all of the current selector
+    // state in the __selectors key
+    debug() {
+      const result = { __selectors: {} }
+      for (const [atomRef, atomState] of store.atomStates) {
+        if (internalAtoms.has(atomRef)) continue
+        const { label, selectorFn, state, memo } = atomState
+        const dest = selectorFn ? result.__selectors : result
         const val = selectorFn ? memo : state
         if (dest[label]) {
           if (!Array.isArray(dest[label])) {
@@ -388,12 +1893,355 @@ export function createStore() {
           dest[label] = val
         }
       }
+      const cycles = findCycles(store)
+      if (cycles.length > 0) {
+        result.__cycles = cycles
+      }
       return result
     },
+
+    // read out the live dependency graph of all the atoms and
+    // selectors in the store, or with the format option 'dot'
+    // or 'mermaid' render the graph as a diagram
+    inspect({ format } = {}) {
+      const graph = inspect(store)
+      if (format === 'dot') return toDot(graph)
+      if (format === 'mermaid') return toMermaid(graph)
+      assert(!format, `Unknown inspect format "${format}"`)
+      return graph
+    },
   }
   return store
 }
 
+/**
+ * History keeps a stack of entries, where each entry is a map of
+ * atomRef -> [prevState, nextState] for all of the tracked atoms
+ * updated in a single batch. The stacks are stored in an atom,
+ * so that canUndo and canRedo can be regular selectors.
+ */
+function createHistory(store, atomRefs, { limit }) {
+  const tracked = new Set(atomRefs)
+  const stack = atom({ past: [], future: [] }, { label: 'history' })
+  internalAtoms.add(stack)
+
+  // while undoing or redoing we don't record the updates
+  let applying = false
+  const apply = (entry, index, updater) => {
+    applying = true
+    try {
+      batch(store, () => {
+        for (const [atomRef, states] of entry) {
+          update(store, atomRef, () => states[index])
+        }
+        update(store, stack, updater)
+      })
+    } finally {
+      applying = false
+    }
+  }
+
+  store.observers.add((updated) => {
+    if (applying) return
+    const entry = new Map()
+    for (const [atomRef, prevState] of updated) {
+      if (tracked.has(atomRef)) {
+        const nextState = store.atomStates.get(atomRef).state
+        entry.set(atomRef, [prevState, nextState])
+      }
+    }
+    if (entry.size > 0) {
+      update(store, stack, ({ past }) => ({
+        past: [...past, entry].slice(Math.max(0, past.length + 1 - limit)),
+        future: [],
+      }))
+    }
+  })
+
+  return {
+    canUndo: selector(() => stack().past.length > 0),
+    canRedo: selector(() => stack().future.length > 0),
+    undo() {
+      const { past } = getSnapshot(store, stack)
+      if (past.length === 0) return
+      const entry = past[past.length - 1]
+      apply(entry, 0, ({ past, future }) => ({
+        past: past.slice(0, -1),
+        future: [entry, ...future],
+      }))
+    },
+    redo() {
+      const { future } = getSnapshot(store, stack)
+      if (future.length === 0) return
+      const entry = future[0]
+      apply(entry, 1, ({ past, future }) => ({
+        past: [...past, entry],
+        future: future.slice(1),
+      }))
+    },
+    clear() {
+      update(store, stack, () => ({ past: [], future: [] }))
+    },
+  }
+}
+
+/**
+ * Middleware logging every atom update with the atom label,
+ * the previous and the next state, where filter allows to
+ * pick which updates get logged
+ */
+export function logger({
+  collapsed = false,
+  filter = () => true,
+  console = globalThis.console,
+} = {}) {
+  return (atomRef, prev, next, dispatch) => {
+    if (filter(atomRef, prev, next)) {
+      const title = `${atomRef.label || 'atom'} updated`
+      if (collapsed) console.groupCollapsed(title)
+      else console.group(title)
+      console.log('prev', prev)
+      console.log('next', next)
+      console.groupEnd()
+    }
+    dispatch(next)
+  }
+}
+
+/**
+ * Connect the store to the Redux DevTools browser extension,
+ * every update is reported as an action named after the atom
+ * key or label, and jumping between the states in the devtools
+ * writes the atom states back into the store
+ */
+export function connectDevTools(store, { name = 'Kinfolk' } = {}) {
+  const extension =
+    typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION__
+  if (!extension) {
+    return function disconnect() {}
+  }
+
+  const devtools = extension.connect({ name })
+  devtools.init(devtoolsState(store))
+
+  // while travelling in time, we don't report the updates back
+  let travelling = false
+  const travel = (fn) => {
+    travelling = true
+    try {
+      batch(store, fn)
+    } finally {
+      travelling = false
+    }
+  }
+  const jump = (state) =>
+    travel(() => {
+      for (const [atomRef, key] of devtoolsKeys(store)) {
+        if (has(state, key)) {
+          update(store, atomRef, () => state[key])
+        }
+      }
+    })
+
+  const observer = (updated) => {
+    if (travelling) return
+    const keys = devtoolsKeys(store)
+    for (const atomRef of updated.keys()) {
+      if (!keys.has(atomRef)) continue
+      const { state } = store.atomStates.get(atomRef)
+      const action = { type: keys.get(atomRef), payload: state }
+      devtools.send(action, devtoolsState(store))
+    }
+  }
+  store.observers.add(observer)
+
+  const unsubscribe = devtools.subscribe((message) => {
+    if (message.type !== 'DISPATCH') return
+    switch (message.payload.type) {
+      case 'JUMP_TO_STATE':
+      case 'JUMP_TO_ACTION': {
+        jump(JSON.parse(message.state))
+        break
+      }
+      case 'ROLLBACK': {
+        jump(JSON.parse(message.state))
+        devtools.init(devtoolsState(store))
+        break
+      }
+      case 'RESET': {
+        travel(() => reset(store))
+        devtools.init(devtoolsState(store))
+        break
+      }
+      case 'COMMIT': {
+        devtools.init(devtoolsState(store))
+        break
+      }
+    }
+  })
+
+  return function disconnect() {
+    store.observers.delete(observer)
+    if (typeof unsubscribe === 'function') unsubscribe()
+  }
+}
+
+/**
+ * Describe every node in the store, i.e. every atom and every
+ * selector and arg, together with the edges between the nodes
+ * identified by their index, without computing any values
+ */
+function inspect(store) {
+  const nodes = []
+  for (const atom of store.atomStates.values()) {
+    if (isSelector(atom)) nodes.push(...atom.nodes.values())
+    else nodes.push(atom)
+  }
+
+  const ids = new Map(nodes.map((node, id) => [node, id]))
+  const edges = (set) =>
+    Array.from(set, (node) => ids.get(node)).filter((id) => id !== undefined)
+
+  return {
+    nodes: nodes.map((node, id) => {
+      const atom = store.atomStates.get(node.atomRef)
+      const result = {
+        id,
+        label: nodeLabel(store, node),
+        type: isSelector(atom) ? 'selector' : 'atom',
+        arg: node.arg,
+        listeners: node.listeners.size,
+        mounted: !!node.mounted,
+        parents: edges(node.parents),
+        children: edges(node.children),
+      }
+      if (!isSelector(atom)) {
+        result.value = atom.state
+      } else if (getMemo(atom, node.arg)) {
+        const entry = getMemo(atom, node.arg)
+        if (has(entry, 'error')) result.error = entry.error
+        else result.value = entry.value
+        result.stale = !!node.stale
+      }
+      return result
+    }),
+  }
+}
+
+/**
+ * Render the inspected graph in the Graphviz DOT language,
+ * with atoms as boxes and arrows pointing at the dependents
+ */
+function toDot({ nodes }) {
+  const quote = (str) => `"${str.replace(/["\\]/g, '\\$&')}"`
+  const lines = ['digraph kinfolk {']
+  for (const { id, label, type } of nodes) {
+    const shape = type === 'atom' ? 'box' : 'ellipse'
+    lines.push(`  n${id} [label=${quote(label)}, shape=${shape}];`)
+  }
+  for (const { id, children } of nodes) {
+    for (const child of children) lines.push(`  n${id} -> n${child};`)
+  }
+  lines.push('}')
+  return lines.join('\n')
+}
+
+/**
+ * Render the inspected graph as a Mermaid flowchart,
+ * with atoms as boxes and arrows pointing at the dependents
+ */
+function toMermaid({ nodes }) {
+  const quote = (str) => `"${str.replace(/"/g, '#quot;')}"`
+  const lines = ['flowchart LR']
+  for (const { id, label, type } of nodes) {
+    const text = quote(label)
+    lines.push(type === 'atom' ? `  n${id}[${text}]` : `  n${id}(${text})`)
+  }
+  for (const { id, children } of nodes) {
+    for (const child of children) lines.push(`  n${id} --> n${child}`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * The atom states keyed same as the devtools actions, together with
+ * the selectors of the debug() output, with the selector memo maps
+ * turned into plain objects that the devtools can display
+ */
+function devtoolsState(store) {
+  const result = {}
+  for (const [atomRef, key] of devtoolsKeys(store)) {
+    result[key] = store.atomStates.get(atomRef).state
+  }
+  const selectors = {}
+  for (const [label, memos] of Object.entries(store.debug().__selectors)) {
+    const toObject = (memo) => {
+      const values = {}
+      for (const [arg, { value }] of memo) values[String(arg)] = value
+      return values
+    }
+    selectors[label] = Array.isArray(memos)
+      ? memos.map(toObject)
+      : toObject(memos)
+  }
+  result.__selectors = selectors
+  return result
+}
+
+/**
+ * Key the atoms of the store by their key or label for the devtools,
+ * where the atoms sharing a label get a numbered suffix, so that the
+ * time travel writes each state back into the right atom
+ */
+function devtoolsKeys(store) {
+  const keys = new Map()
+  const taken = new Set()
+  for (const [atomRef, atom] of store.atomStates) {
+    if (isSelector(atom) || internalAtoms.has(atomRef)) continue
+    const key = stableKey(atomRef) || atom.label
+    let unique = key
+    for (let i = 2; taken.has(unique); i++) {
+      unique = `${key} (${i})`
+    }
+    taken.add(unique)
+    keys.set(atomRef, unique)
+  }
+  return keys
+}
+
+/**
+ * The default key of selector families, where the args that can't be
+ * serialized, such as atomRefs or objects holding functions, are
+ * keyed by their identity instead
+ */
+function familyKey(arg) {
+  try {
+    return stableStringify(arg, true)
+  } catch {
+    return arg
+  }
+}
+
+/**
+ * JSON serializer with sorted object keys, used for keying
+ * selector families by structurally equal args, where in the
+ * strict mode the values that JSON would leave out or mangle
+ * throw instead, so that distinct args don't share the output
+ */
+function stableStringify(value, strict = false) {
+  return JSON.stringify(value, (key, val) => {
+    if (strict && !isSerializable(val)) {
+      throw new TypeError(
+        `Cannot serialize ${Object.prototype.toString.call(val)}`,
+      )
+    }
+    if (!isObject(val)) return val
+    const sorted = {}
+    for (const k of Object.keys(val).sort()) sorted[k] = val[k]
+    return sorted
+  })
+}
+
 /**
  * Slightly fancy shallow equality comparator that checks for
  *  - object equality
@@ -426,6 +2274,20 @@ function arrEqual(a, b) {
   return true
 }
 
+/**
+ * Whether JSON keeps the value apart from the other values, i.e.
+ * it's a primitive other than the functions, symbols and non-finite
+ * numbers, an array, or a plain object as opposed to Maps, Sets and
+ * class instances, which all serialize to the same {}
+ */
+function isSerializable(value) {
+  if (typeof value === 'number') return Number.isFinite(value)
+  if (typeof value === 'function' || typeof value === 'symbol') return false
+  if (value === null || typeof value !== 'object') return true
+  const proto = Object.getPrototypeOf(value)
+  return Array.isArray(value) || proto === Object.prototype || proto === null
+}
+
 function isObject(obj) {
   return (
     typeof obj === 'object' &&
@@ -443,6 +2305,18 @@ function isAtomOrSelectorRef(atomRef) {
   return atomMetas.has(atomRef)
 }
 
+function isDev() {
+  return typeof process === 'undefined' || process.env.NODE_ENV !== 'production'
+}
+
+function isPromise(value) {
+  return (
+    !!value &&
+    (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function'
+  )
+}
+
 function isSelector(atom) {
   return has(atom, 'selectorFn')
 }
@@ -1,16 +1,22 @@
 import test from 'ava'
 import { JSDOM } from 'jsdom'
 import { render, fireEvent, cleanup, act } from '@testing-library/react'
-import React, { useState, useEffect, useRef } from 'react'
+import React, { Suspense, useState, useEffect, useRef } from 'react'
 import {
   Provider,
   createStore,
   createContext,
+  createMemoryStorage,
+  connectDevTools,
+  logger,
   atom,
   selector,
   useSetter,
   useReducer,
   useSelector,
+  useSelectorLoadable,
+  useBatch,
+  useResetter,
 } from '../src/kinfolk'
 
 const dom = new JSDOM('<!doctype html><div id="root"></div>')
@@ -687,7 +693,2424 @@ test('selector mixing atoms from different contexts', async (t) => {
   t.is(container.querySelector('.content-1').innerHTML, '30')
 })
 
+test.serial('async selectors suspend until resolved', async (t) => {
+  const store = createStore()
+  const userId = atom(1, { label: 'userId' })
+  const calls = []
+  const user = selector(
+    async (prefix) => {
+      const id = userId()
+      calls.push([prefix, id])
+      await delay(5)
+      return `${prefix}-${id}`
+    },
+    { label: 'user' },
+  )
+
+  function App() {
+    return (
+      <Suspense fallback={<div className='loading'>Loading</div>}>
+        <User />
+      </Suspense>
+    )
+  }
+
+  function User() {
+    const name = useSelector(() => user('user'), [])
+    return <div className='user'>{name}</div>
+  }
+
+  const { container } = render(
+    <Provider store={store}>
+      <App />
+    </Provider>,
+  )
+
+  t.is(container.querySelector('.loading').innerHTML, 'Loading')
+  await act(() => delay(10))
+  t.is(container.querySelector('.user').innerHTML, 'user-1')
+
+  // the resolved value is cached per arg, and reading it again
+  // does not re-run the selector or suspend
+  t.deepEqual(calls, [['user', 1]])
+  t.is(await store.get(user, 'user'), 'user-1')
+  t.is(store.get(user, 'user').status, 'fulfilled')
+  t.deepEqual(calls, [['user', 1]])
+
+  // changing an input re-suspends
+  act(() => {
+    store.set(userId, 2)
+  })
+  t.is(container.querySelector('.user').style.display, 'none')
+  await act(() => delay(10))
+  t.is(container.querySelector('.user').innerHTML, 'user-2')
+  t.deepEqual(calls, [
+    ['user', 1],
+    ['user', 2],
+  ])
+})
+
+test.serial('async atoms suspend until resolved', async (t) => {
+  const store = createStore()
+  const config = atom(delay(5).then(() => ({ theme: 'dark' })))
+
+  function Theme() {
+    const { theme } = useSelector(config)
+    return <div className='theme'>{theme}</div>
+  }
+
+  const { container } = render(
+    <Provider store={store}>
+      <Suspense fallback={<div className='loading'>Loading</div>}>
+        <Theme />
+      </Suspense>
+    </Provider>,
+  )
+
+  t.is(container.querySelector('.loading').innerHTML, 'Loading')
+  await act(() => delay(10))
+  t.is(container.querySelector('.theme').innerHTML, 'dark')
+
+  await act(async () => {
+    store.set(
+      config,
+      delay(5).then(() => ({ theme: 'light' })),
+    )
+  })
+  t.is(container.querySelector('.theme').style.display, 'none')
+  await act(() => delay(10))
+  t.is(container.querySelector('.theme').innerHTML, 'light')
+})
+
+test.serial(
+  'rejected async selectors surface to the error boundary',
+  async (t) => {
+    const failing = selector(async () => {
+      await delay(5)
+      throw new Error('Failed to fetch')
+    })
+
+    class ErrorBoundary extends React.Component {
+      state = { error: null }
+      static getDerivedStateFromError(error) {
+        return { error }
+      }
+      render() {
+        if (this.state.error) {
+          return <div className='error'>{this.state.error.message}</div>
+        }
+        return this.props.children
+      }
+    }
+
+    function Content() {
+      const val = useSelector(failing)
+      return <div className='content'>{val}</div>
+    }
+
+    const consoleError = console.error
+    console.error = () => {}
+    try {
+      const { container } = render(
+        <Provider>
+          <ErrorBoundary>
+            <Suspense fallback={<div className='loading'>Loading</div>}>
+              <Content />
+            </Suspense>
+          </ErrorBoundary>
+        </Provider>,
+      )
+
+      t.is(container.querySelector('.loading').innerHTML, 'Loading')
+      await act(() => delay(10))
+      t.is(container.querySelector('.error').innerHTML, 'Failed to fetch')
+    } finally {
+      console.error = consoleError
+    }
+  },
+)
+
+test('store.getLoadable reads async selectors without throwing', async (t) => {
+  const store = createStore()
+  const counter = atom(1)
+  const double = selector(async () => {
+    const c = counter()
+    await delay(5)
+    if (c < 0) throw new Error('Negative')
+    return c * 2
+  })
+  const broken = selector(() => {
+    throw new Error('Broken')
+  })
+
+  t.deepEqual(store.getLoadable(double), {
+    state: 'loading',
+    value: undefined,
+    error: undefined,
+  })
+  await delay(10)
+  t.deepEqual(store.getLoadable(double), {
+    state: 'hasValue',
+    value: 2,
+    error: undefined,
+  })
+
+  store.set(counter, 2)
+  t.deepEqual(store.getLoadable(double), {
+    state: 'loading',
+    value: 2,
+    error: undefined,
+  })
+  await delay(10)
+  t.deepEqual(store.getLoadable(double), {
+    state: 'hasValue',
+    value: 4,
+    error: undefined,
+  })
+
+  store.set(counter, -1)
+  store.getLoadable(double)
+  await delay(10)
+  const loadable = store.getLoadable(double)
+  t.is(loadable.state, 'hasError')
+  t.is(loadable.value, 4)
+  t.is(loadable.error.message, 'Negative')
+
+  t.is(store.getLoadable(broken).state, 'hasError')
+  t.is(store.getLoadable(broken).error.message, 'Broken')
+  t.deepEqual(store.getLoadable(counter), {
+    state: 'hasValue',
+    value: -1,
+    error: undefined,
+  })
+})
+
+test('store.getLoadable reads atoms that fail to initialize', async (t) => {
+  const settings = atom(
+    () => {
+      throw new Error('Missing settings')
+    },
+    { lazy: true },
+  )
+  const shared = atom(() => settings(), { lazy: true })
+
+  const store = createStore()
+  const loadable = store.getLoadable(settings)
+  t.is(loadable.state, 'hasError')
+  t.is(loadable.value, undefined)
+  t.is(loadable.error.message, 'Missing settings')
+
+  // atoms outside the scope of a nested store live in the parent
+  const nested = createStore({ parent: store })
+  t.is(nested.getError(shared).message, 'Missing settings')
+})
+
+test.serial(
+  'useSelectorLoadable renders stale data while loading',
+  async (t) => {
+    const store = createStore()
+    const query = atom('a')
+    const results = selector(async (prefix) => {
+      const q = query()
+      await delay(5)
+      return `${prefix}:${q}`
+    })
+
+    function Results() {
+      const renders = useRef(0)
+      renders.current += 1
+      const { state, value } = useSelectorLoadable(results, 'results')
+      return (
+        <div className='results'>
+          {state}/{String(value)}/{renders.current}
+        </div>
+      )
+    }
+
+    const { container } = render(
+      <Provider store={store}>
+        <Results />
+      </Provider>,
+    )
+
+    t.is(container.querySelector('.results').innerHTML, 'loading/undefined/1')
+    await act(() => delay(10))
+    t.is(container.querySelector('.results').innerHTML, 'hasValue/results:a/2')
+
+    act(() => {
+      store.set(query, 'b')
+    })
+    t.is(container.querySelector('.results').innerHTML, 'loading/results:a/3')
+    await act(() => delay(10))
+    t.is(container.querySelector('.results').innerHTML, 'hasValue/results:b/4')
+  },
+)
+
+test('subscribing to atoms and selectors via store', async (t) => {
+  const store = createStore()
+  const counter = atom(1, { label: 'counter' })
+  const parity = selector(() => (counter() % 2 === 0 ? 'even' : 'odd'), {
+    label: 'parity',
+    persist: false,
+  })
+  const nth = selector((n) => counter() * n, { label: 'nth' })
+
+  const calls = []
+  const unsubscribe1 = store.subscribe(counter, (...args) =>
+    calls.push(['counter', ...args]),
+  )
+  const unsubscribe2 = store.subscribe(parity, (...args) =>
+    calls.push(['parity', ...args]),
+  )
+  const unsubscribe3 = store.subscribe(
+    nth,
+    (...args) => calls.push(['nth', ...args]),
+    10,
+  )
+
+  store.set(counter, 2)
+  store.set(counter, 4)
+  t.deepEqual(calls, [
+    ['counter', 2, 1],
+    ['parity', 'even', 'odd'],
+    ['nth', 20, 10],
+    ['counter', 4, 2],
+    ['nth', 40, 20],
+  ])
+  t.deepEqual(
+    mounted(store).map((a) => a.replace(/\d+$/g, 'X')),
+    ['selectorX', 'counter', 'selectorX', 'parity', 'selectorX', 'nth'],
+  )
+
+  unsubscribe1()
+  unsubscribe2()
+  unsubscribe3()
+  store.set(counter, 5)
+  t.is(calls.length, 5)
+  t.deepEqual(mounted(store), ['counter', 'nth'])
+})
+
+test('throwing selectors do not break notifying the listeners', async (t) => {
+  const errors = []
+  const store = createStore({ onError: (error) => errors.push(error.message) })
+  const n = atom(1, { label: 'n' })
+  const sqrt = selector(() => {
+    if (n() < 0) throw new Error('Negative')
+    return Math.sqrt(n())
+  })
+  const other = selector(() => n() * 2)
+
+  const calls = []
+  store.subscribe(sqrt, (value) => calls.push(['sqrt', value]))
+  store.subscribe(other, (value) => calls.push(['other', value]))
+
+  store.set(n, -1)
+  t.is(store.get(n), -1)
+  t.deepEqual(calls, [['other', -2]])
+
+  // subscribing to a failing selector does not throw either
+  store.subscribe(sqrt, (value) => calls.push(['sqrt2', value]))
+  store.set(n, 4)
+  t.deepEqual(calls, [
+    ['other', -2],
+    ['sqrt', 2],
+    ['sqrt2', 2],
+    ['other', 8],
+  ])
+  t.deepEqual(errors, ['Negative'])
+})
+
+test('batching updates notifies listeners once', async (t) => {
+  const store = createStore()
+  const first = atom('John', { label: 'first' })
+  const last = atom('Doe', { label: 'last' })
+  const full = selector(() => `${first()} ${last()}`, { label: 'full' })
+
+  const calls = []
+  store.subscribe(full, (value) => calls.push(value))
+  store.subscribe(first, (value) => calls.push(value))
+
+  const result = store.batch(() => {
+    store.set(first, 'Jane')
+    store.set(last, 'Roe')
+    store.batch(() => {
+      store.set(first, 'Janet')
+    })
+    t.deepEqual(calls, [])
+    t.is(store.get(full), 'Janet Roe')
+    return 'done'
+  })
+  t.is(result, 'done')
+  t.deepEqual(calls, ['Janet', 'Janet Roe'])
+
+  // setting the atoms back to the same state does not notify
+  store.batch(() => {
+    store.set(first, 'Bob')
+    store.set(first, 'Janet')
+  })
+  t.deepEqual(calls, ['Janet', 'Janet Roe'])
+})
+
+test('batching rolls back the updates if fn throws', async (t) => {
+  const store = createStore()
+  const first = atom('John', { label: 'first' })
+  const last = atom('Doe', { label: 'last' })
+  const full = selector(() => `${first()} ${last()}`, { label: 'full' })
+
+  const calls = []
+  store.subscribe(full, (value) => calls.push(value))
+
+  const err = t.throws(() =>
+    store.batch(() => {
+      store.set(first, 'Jane')
+      store.set(last, 'Roe')
+      throw new Error('Failed')
+    }),
+  )
+  t.is(err.message, 'Failed')
+  t.is(store.get(first), 'John')
+  t.is(store.get(last), 'Doe')
+  t.is(store.get(full), 'John Doe')
+  t.deepEqual(calls, [])
+
+  // a failing nested batch only rolls back it's own updates
+  store.batch(() => {
+    store.set(first, 'Jane')
+    t.throws(() =>
+      store.batch(() => {
+        store.set(first, 'Janet')
+        store.set(last, 'Roe')
+        throw new Error('Failed')
+      }),
+    )
+    t.is(store.get(full), 'Jane Doe')
+  })
+  t.is(store.get(full), 'Jane Doe')
+  t.deepEqual(calls, ['Jane Doe'])
+})
+
+test('useBatch', async (t) => {
+  const first = atom('John', { label: 'first' })
+  const last = atom('Doe', { label: 'last' })
+  const full = selector(() => `${first()} ${last()}`, { label: 'full' })
+
+  function App() {
+    const renders = useRef(0)
+    renders.current += 1
+    const name = useSelector(full)
+    const batch = useBatch()
+    const setFirst = useSetter(first)
+    const setLast = useSetter(last)
+
+    return (
+      <div>
+        <button
+          onClick={() =>
+            batch(() => {
+              setFirst('Jane')
+              setLast('Roe')
+            })
+          }
+        >
+          Rename
+        </button>
+        <div className='content'>
+          {name}: {renders.current}
+        </div>
+      </div>
+    )
+  }
+
+  const { container } = render(
+    <Provider>
+      <App />
+    </Provider>,
+  )
+
+  t.is(container.querySelector('.content').innerHTML, 'John Doe: 1')
+  fireEvent.click(container.querySelector('button'))
+  t.is(container.querySelector('.content').innerHTML, 'Jane Roe: 2')
+})
+
+test('persisting atoms to storage', async (t) => {
+  const storage = createMemoryStorage()
+  storage.setItem('theme', JSON.stringify({ state: 'dark', version: 0 }))
+
+  const theme = atom('light', { persist: { key: 'theme', storage } })
+  const volume = atom(5, { persist: { key: 'volume', storage } })
+
+  const store1 = createStore()
+  t.is(store1.get(theme), 'dark')
+  t.is(store1.get(volume), 5)
+  t.is(storage.getItem('volume'), null)
+
+  store1.set(volume, 7)
+  t.is(storage.getItem('volume'), '{"state":7,"version":0}')
+
+  // rolled back updates are not persisted
+  t.throws(() =>
+    store1.batch(() => {
+      store1.set(volume, 11)
+      throw new Error('Failed')
+    }),
+  )
+  t.is(storage.getItem('volume'), '{"state":7,"version":0}')
+
+  // atoms are hydrated lazily in each store
+  const store2 = createStore()
+  t.is(store2.get(theme), 'dark')
+  t.is(store2.get(volume), 7)
+})
+
+test('migrating persisted atoms', async (t) => {
+  const storage = createMemoryStorage()
+  storage.setItem('prefs', JSON.stringify({ state: 'dark', version: 1 }))
+  storage.setItem('layout', JSON.stringify({ state: 'grid', version: 1 }))
+
+  const prefs = atom(
+    { theme: 'light' },
+    {
+      persist: {
+        key: 'prefs',
+        storage,
+        version: 2,
+        migrate: (state, version) => {
+          t.is(version, 1)
+          return { theme: state }
+        },
+      },
+    },
+  )
+  // without the migrate function outdated state is discarded
+  const layout = atom('list', {
+    persist: { key: 'layout', storage, version: 2 },
+  })
+
+  const store = createStore()
+  t.deepEqual(store.get(prefs), { theme: 'dark' })
+  t.is(store.get(layout), 'list')
+
+  store.set(prefs, { theme: 'blue' })
+  t.is(storage.getItem('prefs'), '{"state":{"theme":"blue"},"version":2}')
+})
+
+test('persisting atoms to async storage', async (t) => {
+  const memory = createMemoryStorage()
+  memory.setItem('count', JSON.stringify({ state: 5, version: 0 }))
+  const storage = {
+    getItem: async (key) => memory.getItem(key),
+    setItem: async (key, value) => memory.setItem(key, value),
+  }
+
+  const count = atom(0, {
+    label: 'count',
+    persist: { key: 'count', storage },
+  })
+
+  const store = createStore()
+  const calls = []
+  store.subscribe(count, (value) => calls.push(value))
+  t.is(store.get(count), 0)
+  await delay(0)
+  t.is(store.get(count), 5)
+  t.deepEqual(calls, [5])
+
+  store.set(count, 6)
+  await delay(0)
+  t.is(memory.getItem('count'), '{"state":6,"version":0}')
+
+  // updates made before the storage responds take precedence
+  const store2 = createStore()
+  store2.set(count, 10)
+  await delay(0)
+  t.is(store2.get(count), 10)
+})
+
+test('failing storage falls back to the initial state', async (t) => {
+  const memory = createMemoryStorage()
+  memory.setItem('count', 'garbage')
+  const count = atom(0, {
+    label: 'count',
+    persist: { key: 'count', storage: memory },
+  })
+
+  const errors = []
+  const onError = (error, { label }) => errors.push([label, error.name])
+  const store = createStore({ onError })
+  t.is(store.get(count), 0)
+  store.set(count, 1)
+  t.is(store.get(count), 1)
+  t.deepEqual(errors, [['count', 'SyntaxError']])
+
+  // async storages that reject on reads and writes
+  const failing = atom(0, {
+    label: 'failing',
+    persist: {
+      key: 'failing',
+      storage: {
+        getItem: async () => {
+          throw new Error('Unavailable')
+        },
+        setItem: async () => {
+          throw new Error('Quota exceeded')
+        },
+      },
+    },
+  })
+  errors.length = 0
+  const onAsyncError = (error, { label }) => errors.push([label, error.message])
+  const store2 = createStore({ onError: onAsyncError })
+  t.is(store2.get(failing), 0)
+  await delay(0)
+  store2.set(failing, 1)
+  await delay(0)
+  t.is(store2.get(failing), 1)
+  t.deepEqual(errors, [
+    ['failing', 'Unavailable'],
+    ['failing', 'Quota exceeded'],
+  ])
+
+  // errors thrown while applying the restored state are reported too
+  const memory2 = createMemoryStorage()
+  memory2.setItem('vetoed', JSON.stringify({ state: 5, version: 0 }))
+  const vetoed = atom(0, {
+    label: 'vetoed',
+    persist: {
+      key: 'vetoed',
+      storage: {
+        getItem: async (key) => memory2.getItem(key),
+        setItem: async (key, value) => memory2.setItem(key, value),
+      },
+    },
+  })
+  errors.length = 0
+  const store3 = createStore({
+    onError: onAsyncError,
+    middleware: [
+      () => {
+        throw new Error('Vetoed')
+      },
+    ],
+  })
+  t.is(store3.get(vetoed), 0)
+  await delay(0)
+  t.is(store3.get(vetoed), 0)
+  t.deepEqual(errors, [['vetoed', 'Vetoed']])
+})
+
+test('dehydrating and hydrating stores', async (t) => {
+  const user = atom(null, { label: 'user' })
+  const todos = atom([], { label: 'todos' })
+  const count = selector(() => todos().length, { label: 'count' })
+
+  // on the server
+  const server = createStore()
+  server.set(user, { name: 'Jane' })
+  server.set(todos, [{ title: 'Write docs' }])
+  t.is(server.get(count), 1)
+  const snapshot = JSON.parse(JSON.stringify(server.dehydrate()))
+  t.deepEqual(snapshot, {
+    user: { name: 'Jane' },
+    todos: [{ title: 'Write docs' }],
+  })
+
+  // on the client
+  const client = createStore({ initialState: snapshot })
+
+  function App() {
+    const c = useSelector(count)
+    const u = useSelector(user)
+    return (
+      <div className='content'>
+        {u.name}: {c}
+      </div>
+    )
+  }
+
+  const { container } = render(
+    <Provider store={client}>
+      <App />
+    </Provider>,
+  )
+  t.is(container.querySelector('.content').innerHTML, 'Jane: 1')
+
+  act(() => {
+    client.hydrate({ user: { name: 'John' }, todos: [] })
+  })
+  t.is(container.querySelector('.content').innerHTML, 'John: 0')
+})
+
+test('dehydrating atoms without labels throws', async (t) => {
+  const labelled = atom(1, { label: 'labelled' })
+  const unlabelled = atom(2)
+
+  const store = createStore()
+  store.get(labelled)
+  t.deepEqual(store.dehydrate(), { labelled: 1 })
+
+  store.get(unlabelled)
+  const err = t.throws(() => store.dehydrate())
+  t.regex(err.message, /Cannot dehydrate atom "atom\d+" without a key or label/)
+})
+
+test('atoms and selectors with explicit keys', async (t) => {
+  const storage = createMemoryStorage()
+  const todos = atom([], { key: 'keys-todos', persist: { storage } })
+  const count = selector(() => todos().length, { key: 'keys-count' })
+  const titles = selector(() => todos().map((t) => t.title), {
+    key: 'keys-titles',
+    label: 'titles',
+  })
+
+  const store = createStore()
+  store.set(todos, [{ title: 'Write docs' }])
+  t.is(store.get(count), 1)
+  t.deepEqual(store.get(titles), ['Write docs'])
+
+  t.deepEqual(mounted(store), ['keys-todos', 'keys-count', 'titles'])
+  t.deepEqual(store.dehydrate(), { 'keys-todos': [{ title: 'Write docs' }] })
+  t.is(
+    storage.getItem('keys-todos'),
+    '{"state":[{"title":"Write docs"}],"version":0}',
+  )
+})
+
+test.serial('duplicate keys warn and re-register the atom', async (t) => {
+  const warnings = []
+  const consoleWarn = console.warn
+  console.warn = (msg) => warnings.push(msg)
+
+  try {
+    const store = createStore()
+    const counter1 = atom(0, { key: 'keys-counter' })
+    store.set(counter1, 5)
+    t.deepEqual(warnings, [])
+
+    // e.g. the module got re-evaluated during hot module replacement,
+    // the new atom picks up the state of the previous one
+    const counter2 = atom(0, { key: 'keys-counter' })
+    t.is(warnings.length, 1)
+    t.regex(warnings[0], /duplicate atom key "keys-counter"/)
+    t.is(store.get(counter2), 5)
+    store.set(counter2, 6)
+    t.is(store.get(counter2), 6)
+
+    // but a fresh store starts with the initial state
+    t.is(createStore().get(counter2), 0)
+  } finally {
+    console.warn = consoleWarn
+  }
+})
+
+test.serial('connecting the store to redux devtools', async (t) => {
+  const messages = []
+  let dispatch
+  window.__REDUX_DEVTOOLS_EXTENSION__ = {
+    connect: ({ name }) => ({
+      init: (state) => messages.push(['init', name, state]),
+      send: (action, state) => messages.push(['send', action, state]),
+      subscribe: (fn) => {
+        dispatch = fn
+        return () => {
+          dispatch = null
+        }
+      },
+    }),
+  }
+
+  try {
+    const store = createStore()
+    const counter = atom(1, { label: 'counter' })
+    const nth = selector((n) => counter() * n, { label: 'nth' })
+    store.get(nth, 2)
+
+    const disconnect = connectDevTools(store, { name: 'app' })
+    store.set(counter, 2)
+    store.get(nth, 2)
+    store.set(counter, 3)
+
+    t.deepEqual(messages, [
+      ['init', 'app', { counter: 1, __selectors: { nth: { 2: 2 } } }],
+      [
+        'send',
+        { type: 'counter', payload: 2 },
+        { counter: 2, __selectors: { nth: { 2: 2 } } },
+      ],
+      [
+        'send',
+        { type: 'counter', payload: 3 },
+        { counter: 3, __selectors: { nth: { 2: 4 } } },
+      ],
+    ])
+
+    // time travel writes back into the store without reporting it
+    messages.length = 0
+    const calls = []
+    store.subscribe(nth, (value) => calls.push(value), 2)
+    dispatch({
+      type: 'DISPATCH',
+      payload: { type: 'JUMP_TO_STATE' },
+      state: JSON.stringify({ counter: 2 }),
+    })
+    t.is(store.get(counter), 2)
+    t.deepEqual(calls, [4])
+    t.deepEqual(messages, [])
+
+    dispatch({ type: 'DISPATCH', payload: { type: 'RESET' } })
+    t.is(store.get(counter), 1)
+    t.deepEqual(calls, [4, 2])
+    t.is(messages.length, 1)
+    t.is(messages[0][0], 'init')
+    t.is(messages[0][2].counter, 1)
+
+    disconnect()
+    t.is(dispatch, null)
+    store.set(counter, 5)
+    t.is(messages.length, 1)
+  } finally {
+    delete window.__REDUX_DEVTOOLS_EXTENSION__
+  }
+})
+
+test('connecting devtools without the extension is a noop', async (t) => {
+  const store = createStore()
+  const disconnect = connectDevTools(store)
+  t.is(typeof disconnect, 'function')
+  disconnect()
+})
+
+test('undo and redo with store history', async (t) => {
+  const store = createStore()
+  const title = atom('Untitled', { label: 'title' })
+  const body = atom('', { label: 'body' })
+  const other = atom(0, { label: 'other' })
+  const history = store.history([title, body], { limit: 3 })
+
+  t.false(store.get(history.canUndo))
+  t.false(store.get(history.canRedo))
+
+  store.set(title, 'Draft')
+  store.set(other, 1)
+  store.batch(() => {
+    store.set(title, 'Post')
+    store.set(body, 'Hello')
+    store.set(other, 2)
+  })
+  t.true(store.get(history.canUndo))
+
+  // the batch is undone as a single entry
+  history.undo()
+  t.is(store.get(title), 'Draft')
+  t.is(store.get(body), '')
+  t.is(store.get(other), 2)
+  t.true(store.get(history.canRedo))
+
+  history.undo()
+  t.is(store.get(title), 'Untitled')
+  t.false(store.get(history.canUndo))
+  history.undo()
+  t.is(store.get(title), 'Untitled')
+
+  history.redo()
+  history.redo()
+  t.is(store.get(title), 'Post')
+  t.is(store.get(body), 'Hello')
+  t.false(store.get(history.canRedo))
+
+  // new updates clear the redo stack
+  history.undo()
+  store.set(body, 'Hi')
+  t.false(store.get(history.canRedo))
+
+  // and the number of entries is limited
+  store.set(body, 'Hey')
+  store.set(body, 'Yo')
+  history.undo()
+  history.undo()
+  history.undo()
+  t.false(store.get(history.canUndo))
+  t.is(store.get(title), 'Draft')
+  t.is(store.get(body), '')
+
+  history.clear()
+  t.false(store.get(history.canRedo))
+
+  t.deepEqual(store.dehydrate(), { title: 'Draft', body: '', other: 2 })
+})
+
+test('useSelector on history selectors', async (t) => {
+  const store = createStore()
+  const counter = atom(0, { label: 'counter' })
+  const history = store.history([counter])
+
+  function App() {
+    const count = useSelector(counter)
+    const canUndo = useSelector(history.canUndo)
+    const canRedo = useSelector(history.canRedo)
+    const setCounter = useSetter(counter)
+    return (
+      <div>
+        <button className='inc' onClick={() => setCounter((c) => c + 1)} />
+        <button
+          className='undo'
+          disabled={!canUndo}
+          onClick={() => history.undo()}
+        />
+        <button
+          className='redo'
+          disabled={!canRedo}
+          onClick={() => history.redo()}
+        />
+        <div className='content'>{count}</div>
+      </div>
+    )
+  }
+
+  const { container } = render(
+    <Provider store={store}>
+      <App />
+    </Provider>,
+  )
+
+  t.true(container.querySelector('.undo').disabled)
+  fireEvent.click(container.querySelector('.inc'))
+  fireEvent.click(container.querySelector('.inc'))
+  t.is(container.querySelector('.content').innerHTML, '2')
+  t.false(container.querySelector('.undo').disabled)
+  t.true(container.querySelector('.redo').disabled)
+
+  fireEvent.click(container.querySelector('.undo'))
+  t.is(container.querySelector('.content').innerHTML, '1')
+  t.false(container.querySelector('.redo').disabled)
+
+  fireEvent.click(container.querySelector('.redo'))
+  t.is(container.querySelector('.content').innerHTML, '2')
+  t.true(container.querySelector('.redo').disabled)
+})
+
+test('atom effects run when atoms are mounted and unmounted', async (t) => {
+  const store = createStore()
+  const calls = []
+  const ticker = atom(0, {
+    label: 'ticker',
+    effects: {
+      onMount: ({ get, set }) => {
+        calls.push(['mount', get()])
+        set((t) => t + 1)
+        return () => calls.push(['cleanup', get()])
+      },
+      onSet: (value, prevValue) => calls.push(['set', value, prevValue]),
+      onUnmount: () => calls.push(['unmount']),
+    },
+  })
+  const double = selector(() => ticker() * 2, { label: 'double' })
+
+  // reading the atom does not mount it
+  t.is(store.get(double), 0)
+  t.deepEqual(calls, [])
+
+  const unsubscribe1 = store.subscribe(double, () => {})
+  const unsubscribe2 = store.subscribe(ticker, () => {})
+  t.deepEqual(calls, [
+    ['mount', 0],
+    ['set', 1, 0],
+  ])
+  t.is(store.get(double), 2)
+
+  store.set(ticker, 5)
+  unsubscribe1()
+  t.deepEqual(calls.slice(2), [['set', 5, 1]])
+  unsubscribe2()
+  t.deepEqual(calls.slice(3), [['cleanup', 5], ['unmount']])
+
+  // and mounting again runs the effect again
+  const unsubscribe3 = store.subscribe(double, () => {})
+  t.deepEqual(calls.slice(5), [
+    ['mount', 5],
+    ['set', 6, 5],
+  ])
+  unsubscribe3()
+  t.deepEqual(calls.slice(7), [['cleanup', 6], ['unmount']])
+})
+
+test('atom effects follow the selector dependencies', async (t) => {
+  const calls = []
+  const effects = (name) => ({
+    onMount: () => {
+      calls.push(['mount', name])
+      return () => calls.push(['cleanup', name])
+    },
+  })
+  const useA = atom(true, { label: 'useA' })
+  const a = atom('a', { label: 'a', effects: effects('a') })
+  const b = atom('b', { label: 'b', effects: effects('b') })
+  const ab = selector(() => (useA() ? a() : b()), { label: 'ab' })
+
+  function App() {
+    const val = useSelector(ab)
+    return <div className='content'>{val}</div>
+  }
+
+  const store = createStore()
+  const { container, unmount } = render(
+    <Provider store={store}>
+      <App />
+    </Provider>,
+  )
+  t.is(container.querySelector('.content').innerHTML, 'a')
+  t.deepEqual(calls, [['mount', 'a']])
+
+  act(() => {
+    store.set(useA, false)
+  })
+  t.is(container.querySelector('.content').innerHTML, 'b')
+  t.deepEqual(calls, [
+    ['mount', 'a'],
+    ['mount', 'b'],
+    ['cleanup', 'a'],
+  ])
+
+  unmount()
+  t.deepEqual(calls.slice(3), [['cleanup', 'b']])
+})
+
+test('writable selectors', async (t) => {
+  const store = createStore()
+  const fahrenheit = atom(32, { label: 'fahrenheit' })
+  const celsius = selector(() => ((fahrenheit() - 32) * 5) / 9, {
+    label: 'celsius',
+    set: ({ set }, value) => set(fahrenheit, (value * 9) / 5 + 32),
+  })
+  const form = atom({ name: 'Jane', email: '' }, { label: 'form' })
+  const field = selector((name) => form()[name], {
+    label: 'field',
+    set: ({ get, set }, value, name) =>
+      set(form, { ...get(form), [name]: value }),
+  })
+
+  store.set(celsius, 100)
+  t.is(store.get(fahrenheit), 212)
+  store.set(celsius, (c) => c - 100)
+  t.is(store.get(fahrenheit), 32)
+
+  // updates of several atoms notify once
+  const calls = []
+  store.subscribe(form, (value) => calls.push(value))
+  store.set(field, 'jane@example.com', 'email')
+  t.is(store.get(field, 'email'), 'jane@example.com')
+  t.deepEqual(calls, [{ name: 'Jane', email: 'jane@example.com' }])
+
+  const err = t.throws(() =>
+    store.set(
+      selector(() => 1),
+      2,
+    ),
+  )
+  t.is(err.message, 'Only atoms and writable selectors can be updated')
+})
+
+test('setting writable selectors that throw', async (t) => {
+  const store = createStore()
+  const raw = atom(null, { label: 'raw' })
+  const parsed = selector(() => raw().value, {
+    label: 'parsed',
+    set: ({ set }, value) => set(raw, { value }),
+  })
+  t.throws(() => store.get(parsed), { instanceOf: TypeError })
+
+  // setting a value does not read the selector, so it repairs the atom
+  store.set(parsed, 5)
+  t.is(store.get(parsed), 5)
+  store.set(parsed, (value) => value + 1)
+  t.is(store.get(parsed), 6)
+
+  store.set(raw, null)
+  t.throws(() => store.set(parsed, (value) => value + 1), {
+    instanceOf: TypeError,
+  })
+})
+
+test('useSetter and useReducer on writable selectors', async (t) => {
+  const first = atom('John', { label: 'first' })
+  const last = atom('Doe', { label: 'last' })
+  const full = selector(() => `${first()} ${last()}`, {
+    label: 'full',
+    set: ({ set }, value) => {
+      const [f, l] = value.split(' ')
+      set(first, f)
+      set(last, l)
+    },
+  })
+  const field = selector((atomRef) => atomRef(), {
+    label: 'field',
+    set: ({ set }, value, atomRef) => set(atomRef, value),
+  })
+
+  function App() {
+    const renders = useRef(0)
+    renders.current += 1
+    const name = useSelector(full)
+    const setFull = useSetter(full)
+    const setLast = useSetter(field, last)
+    const dispatch = useReducer(full, (state, action) =>
+      action === 'reverse' ? state.split(' ').reverse().join(' ') : state,
+    )
+    return (
+      <div>
+        <button className='set' onClick={() => setFull('Jane Roe')} />
+        <button className='last' onClick={() => setLast('Smith')} />
+        <button className='reverse' onClick={() => dispatch('reverse')} />
+        <div className='content'>
+          {name}: {renders.current}
+        </div>
+      </div>
+    )
+  }
+
+  const { container } = render(
+    <Provider>
+      <App />
+    </Provider>,
+  )
+
+  t.is(container.querySelector('.content').innerHTML, 'John Doe: 1')
+  fireEvent.click(container.querySelector('.set'))
+  t.is(container.querySelector('.content').innerHTML, 'Jane Roe: 2')
+  fireEvent.click(container.querySelector('.last'))
+  t.is(container.querySelector('.content').innerHTML, 'Jane Smith: 3')
+  fireEvent.click(container.querySelector('.reverse'))
+  t.is(container.querySelector('.content').innerHTML, 'Smith Jane: 4')
+})
+
+test('selector families keyed by structurally equal args', async (t) => {
+  const store = createStore()
+  const items = atom({ a: 1, b: 2, c: 3 }, { label: 'items' })
+  let calls = 0
+  const pick = selector(
+    ({ keys }) => {
+      calls++
+      return keys.map((k) => items()[k])
+    },
+    { label: 'pick', family: {} },
+  )
+
+  t.deepEqual(store.get(pick, { keys: ['a', 'b'] }), [1, 2])
+  t.deepEqual(store.get(pick, { keys: ['a', 'b'] }), [1, 2])
+  t.is(calls, 1)
+
+  const custom = selector((item) => items()[item.id], {
+    label: 'custom',
+    family: { key: (item) => item.id },
+  })
+  t.is(store.get(custom, { id: 'c', name: 'foo' }), 3)
+  t.deepEqual(Array.from(store.atomStates.get(custom).memo.keys()), ['c'])
+
+  // the args that can't be serialized are keyed by identity
+  const first = atom('Jane', { label: 'first' })
+  const last = atom('Doe', { label: 'last' })
+  const field = selector((atomRef) => atomRef(), {
+    label: 'field',
+    family: {},
+  })
+  const upper = selector(({ atomRef }) => atomRef().toUpperCase(), {
+    label: 'upper',
+    family: {},
+  })
+  t.is(store.get(field, first), 'Jane')
+  t.is(store.get(field, last), 'Doe')
+  t.is(store.get(upper, { atomRef: first }), 'JANE')
+  t.is(store.get(upper, { atomRef: last }), 'DOE')
+  store.set(last, 'Roe')
+  t.is(store.get(field, first), 'Jane')
+  t.is(store.get(field, last), 'Roe')
+
+  // as are Maps, Sets, class instances and non-finite numbers
+  const size = selector((arg) => (arg instanceof Set ? arg.size : arg), {
+    label: 'size',
+    family: {},
+  })
+  const one = new Set([1])
+  const three = new Set([1, 2, 3])
+  t.is(store.get(size, one), 1)
+  t.is(store.get(size, three), 3)
+  const map = new Map([['a', 1]])
+  t.is(store.get(size, map), map)
+  t.is(store.get(size, new Map()).size, 0)
+  class Point {
+    constructor(x) {
+      this.x = x
+    }
+  }
+  const point = new Point(1)
+  t.is(store.get(size, point), point)
+  t.is(store.get(size, { x: 1 }).constructor, Object)
+  t.true(Number.isNaN(store.get(size, NaN)))
+  t.is(store.get(size, Infinity), Infinity)
+  t.is(store.get(size, null), null)
+  t.is(store.get(size, [Infinity]).length, 1)
+  t.is(store.get(size, [null])[0], null)
+})
+
+test('selector families evict least recently used values', async (t) => {
+  const store = createStore()
+  const counter = atom(1, { label: 'counter' })
+  const times = selector((n) => counter() * n, {
+    label: 'times',
+    family: { maxSize: 2 },
+  })
+  const keys = () => Array.from(store.atomStates.get(times).memo.keys())
+
+  store.get(times, 1)
+  store.get(times, 2)
+  t.deepEqual(keys(), ['1', '2'])
+  store.get(times, 1)
+  t.deepEqual(keys(), ['2', '1'])
+  store.get(times, 3)
+  t.deepEqual(keys(), ['1', '3'])
+  t.is(store.get(times, 2), 2)
+  t.deepEqual(keys(), ['3', '2'])
+})
+
+test('selector families expire values', async (t) => {
+  const store = createStore()
+  let calls = 0
+  const now = selector(
+    () => {
+      calls++
+      return calls
+    },
+    { label: 'now', family: { ttl: 5 } },
+  )
+
+  t.is(store.get(now, 'a'), 1)
+  t.is(store.get(now, 'a'), 1)
+  await delay(10)
+  t.is(store.get(now, 'a'), 2)
+  t.is(store.get(now, 'b'), 3)
+
+  // expired values are dropped when new values get memoised
+  await delay(10)
+  store.get(now, 'c')
+  t.deepEqual(Array.from(store.atomStates.get(now).memo.keys()), ['"c"'])
+})
+
+test('evicting selector values', async (t) => {
+  const store = createStore()
+  const counter = atom(1, { label: 'counter' })
+  let calls = 0
+  const times = selector(
+    (n) => {
+      calls++
+      return counter() * n
+    },
+    { label: 'times' },
+  )
+
+  const values = []
+  store.subscribe(times, (value) => values.push(value), 2)
+  store.get(times, 3)
+  t.is(calls, 2)
+
+  store.evict(times, 2)
+  t.is(calls, 3)
+  t.deepEqual(Array.from(store.atomStates.get(times).memo.keys()), [3, 2])
+
+  store.evictAll(times)
+  t.is(store.atomStates.get(times).memo.size, 1)
+  t.is(calls, 4)
+  t.is(store.get(times, 3), 3)
+  t.is(calls, 5)
+
+  // evicting does not notify if the value did not change
+  t.deepEqual(values, [])
+})
+
+test('selector family members track their own dependencies', async (t) => {
+  const store = createStore()
+  const even = atom(1, { label: 'even' })
+  const odd = atom(1, { label: 'odd' })
+  const times = selector((n) => (n % 2 === 0 ? even() : odd()) * n, {
+    label: 'times',
+  })
+
+  const calls = []
+  store.subscribe(times, (value) => calls.push(['times(5)', value]), 5)
+  store.subscribe(times, (value) => calls.push(['times(4)', value]), 4)
+
+  const { nodes } = store.atomStates.get(times)
+  const evenNode = store.atomStates.get(even)
+  const oddNode = store.atomStates.get(odd)
+  t.deepEqual(Array.from(nodes.get(4).parents), [evenNode])
+  t.deepEqual(Array.from(nodes.get(5).parents), [oddNode])
+  t.deepEqual(Array.from(evenNode.children), [nodes.get(4)])
+  t.deepEqual(Array.from(oddNode.children), [nodes.get(5)])
+
+  // evaluating one member does not untrack the dependencies of the others
+  store.set(even, 2)
+  store.set(odd, 2)
+  t.deepEqual(calls, [
+    ['times(4)', 8],
+    ['times(5)', 10],
+  ])
+})
+
+test('updates only notify the affected selector family members', async (t) => {
+  const store = createStore()
+  const sources = { a: atom(1), b: atom(2) }
+  const item = selector((id) => sources[id](), { label: 'item' })
+  const doubled = selector((id) => item(id) * 2, { label: 'doubled' })
+
+  t.is(store.get(doubled, 'a'), 2)
+  t.is(store.get(doubled, 'b'), 4)
+
+  const notified = []
+  const { nodes } = store.atomStates.get(doubled)
+  nodes.get('a').listeners.add(() => notified.push('a'))
+  nodes.get('b').listeners.add(() => notified.push('b'))
+
+  store.set(sources.a, 3)
+  t.deepEqual(notified, ['a'])
+  store.set(sources.b, 3)
+  t.deepEqual(notified, ['a', 'b'])
+  t.is(store.get(doubled, 'a'), 6)
+  t.is(store.get(doubled, 'b'), 6)
+})
+
+test('updates mark deep and wide dependents stale', async (t) => {
+  const store = createStore()
+  const root = atom(1, { label: 'root' })
+  const other = atom(1, { label: 'other' })
+
+  let calls = 0
+  let deep = root
+  for (let i = 0; i < 50; i++) {
+    const prev = deep
+    deep = selector(() => {
+      calls++
+      return prev() + 1
+    })
+  }
+  const wide = Array.from({ length: 50 }, (_, i) =>
+    selector(() => {
+      calls++
+      return root() * i
+    }),
+  )
+  const sum = selector(() => wide.reduce((acc, s) => acc + s(), 0))
+
+  t.is(store.get(deep), 51)
+  t.is(store.get(sum), 1225)
+  t.is(calls, 100)
+
+  store.set(other, 2)
+  t.is(store.get(deep), 51)
+  t.is(store.get(sum), 1225)
+  t.is(calls, 100)
+
+  store.set(root, 2)
+  t.is(store.get(deep), 52)
+  t.is(store.get(sum), 2450)
+  t.is(calls, 200)
+
+  // rolling back the batch marks the dependents stale again
+  t.throws(() =>
+    store.batch(() => {
+      store.set(root, 3)
+      t.is(store.get(deep), 53)
+      throw new Error('rollback')
+    }),
+  )
+  t.is(store.get(deep), 52)
+})
+
+test('evicting marks the dependent selectors stale', async (t) => {
+  const store = createStore()
+  const counter = atom(1, { label: 'counter' })
+  let calls = 0
+  const version = selector(() => counter() + calls++, { label: 'version' })
+  const label = selector(() => `v${version()}`, { label: 'label' })
+
+  const values = []
+  store.subscribe(label, (value) => values.push(value))
+  t.is(store.get(label), 'v1')
+
+  store.evict(version)
+  t.is(store.get(label), 'v2')
+  store.evictAll(version)
+  t.is(store.get(label), 'v3')
+  t.deepEqual(values, ['v2', 'v3'])
+})
+
+test('diamond dependencies notify each listener once in order', async (t) => {
+  const store = createStore()
+  const a = atom(1, { label: 'a' })
+  const b = selector(() => a() * 2, { label: 'b' })
+  const c = selector(() => a() * 3, { label: 'c' })
+  const d = selector(() => b() + c(), { label: 'd' })
+
+  // every listener sees a consistent view of the graph
+  const calls = []
+  const listen = (name) => () =>
+    calls.push([name, store.get(a), store.get(b), store.get(c), store.get(d)])
+  store.subscribe(d, listen('d'))
+  store.subscribe(c, listen('c'))
+  store.subscribe(b, listen('b'))
+  store.subscribe(a, listen('a'))
+
+  store.set(a, 2)
+  t.deepEqual(calls, [
+    ['a', 2, 4, 6, 10],
+    ['b', 2, 4, 6, 10],
+    ['c', 2, 4, 6, 10],
+    ['d', 2, 4, 6, 10],
+  ])
+})
+
+test('multi-level dependencies notify in topological order', async (t) => {
+  const store = createStore()
+  const a = atom(1, { label: 'a' })
+  const b = selector(() => a() + 1, { label: 'b' })
+  const c = selector(() => b() + 1, { label: 'c' })
+  // d depends on a directly, and on a via b and c
+  const d = selector(() => a() + c(), { label: 'd' })
+  const e = selector(() => d() + b(), { label: 'e' })
+
+  const calls = []
+  for (const [name, s] of Object.entries({ e, d, c, b, a })) {
+    store.subscribe(s, (value) => calls.push([name, value]))
+  }
+
+  store.set(a, 2)
+  t.deepEqual(calls, [
+    ['a', 2],
+    ['b', 3],
+    ['c', 4],
+    ['d', 6],
+    ['e', 9],
+  ])
+})
+
+test('circular dependencies between selectors throw', async (t) => {
+  const store = createStore()
+  const cyclic = atom(true, { label: 'cyclic' })
+  const a = selector(() => (cyclic() ? b() : 1), { label: 'a' })
+  const b = selector(() => a() + 1, { label: 'b' })
+  const self = selector((n) => self(n), { label: 'self' })
+
+  t.throws(() => store.get(a), {
+    message: 'Circular dependency between selectors: a -> b -> a',
+  })
+  t.throws(() => store.get(b), {
+    message: 'Circular dependency between selectors: b -> a -> b',
+  })
+  t.throws(() => store.get(self, 1), {
+    message: 'Circular dependency between selectors: self(1) -> self(1)',
+  })
+  t.is(store.debug().__cycles, undefined)
+
+  store.set(cyclic, false)
+  t.is(store.get(a), 1)
+  t.is(store.get(b), 2)
+
+  // debug flags any cyclic edges left in the graph
+  const nodeA = store.atomStates.get(a).nodes.get(undefined)
+  const nodeB = store.atomStates.get(b).nodes.get(undefined)
+  nodeA.parents.add(nodeB)
+  t.deepEqual(store.debug().__cycles, ['a -> b -> a'])
+})
+
+test('selector errors are memoised until an input changes', async (t) => {
+  const errors = []
+  const store = createStore({
+    onError: (error, { label, arg }) =>
+      errors.push([error.message, label, arg]),
+  })
+  const amount = atom(-1, { label: 'amount' })
+  let calls = 0
+  const price = selector(
+    (currency) => {
+      calls++
+      if (amount() < 0) throw new Error(`Negative ${currency}`)
+      return amount() + ' ' + currency
+    },
+    { label: 'price' },
+  )
+  const total = selector(() => 'Total: ' + price('EUR'), { label: 'total' })
+
+  const err = t.throws(() => store.get(total), { message: 'Negative EUR' })
+  t.is(
+    t.throws(() => store.get(total)),
+    err,
+  )
+  t.is(
+    t.throws(() => store.get(price, 'EUR')),
+    err,
+  )
+  t.is(calls, 1)
+  t.is(store.getError(total), err)
+  t.is(store.getError(price, 'EUR'), err)
+  // the error is reported once, not again for the selectors passing it on
+  t.deepEqual(errors, [['Negative EUR', 'price', 'EUR']])
+
+  store.set(amount, 5)
+  t.is(store.get(total), 'Total: 5 EUR')
+  t.is(store.getError(total), undefined)
+  t.is(calls, 2)
+
+  store.set(amount, -2)
+  t.throws(() => store.get(total), { message: 'Negative EUR' })
+  t.is(calls, 3)
+  t.deepEqual(store.getLoadable(total), {
+    state: 'hasError',
+    value: 'Total: 5 EUR',
+    error: store.getError(total),
+  })
+})
+
+test.serial('onError reports rejected async selectors', async (t) => {
+  const errors = []
+  const store = createStore({
+    onError: (error, { label }) => errors.push([error.message, label]),
+  })
+  const failing = selector(
+    async () => {
+      await delay(5)
+      throw new Error('Failed to fetch')
+    },
+    { label: 'failing' },
+  )
+
+  const awaiting = selector(async () => 'Got ' + (await failing()), {
+    label: 'awaiting',
+  })
+
+  store.get(awaiting)
+  await delay(10)
+  t.deepEqual(errors, [['Failed to fetch', 'failing']])
+  t.is(store.getError(failing).message, 'Failed to fetch')
+  t.is(store.getError(awaiting).message, 'Failed to fetch')
+})
+
+test('inspecting the dependency graph', async (t) => {
+  const store = createStore()
+  const counter = atom(1, { label: 'counter' })
+  const double = selector(() => counter() * 2, { label: 'double' })
+  const times = selector((n) => double() * n, { label: 'times' })
+  const orphan = selector(() => 'orphan', { label: 'orphan "quoted"' })
+
+  store.get(counter)
+  store.get(double)
+  store.get(times, 3)
+  store.get(orphan)
+  const unsubscribe = store.subscribe(double, () => {})
+
+  const { nodes } = store.inspect()
+  const wrapper = nodes[4]
+  t.deepEqual(nodes.slice(0, 4), [
+    {
+      id: 0,
+      label: 'counter',
+      type: 'atom',
+      arg: undefined,
+      value: 1,
+      listeners: 0,
+      mounted: true,
+      parents: [],
+      children: [1],
+    },
+    {
+      id: 1,
+      label: 'double',
+      type: 'selector',
+      arg: undefined,
+      value: 2,
+      stale: false,
+      listeners: 0,
+      mounted: true,
+      parents: [0],
+      children: [2, 4],
+    },
+    {
+      id: 2,
+      label: 'times(3)',
+      type: 'selector',
+      arg: 3,
+      value: 6,
+      stale: false,
+      listeners: 0,
+      mounted: false,
+      parents: [1],
+      children: [],
+    },
+    {
+      id: 3,
+      label: 'orphan "quoted"',
+      type: 'selector',
+      arg: undefined,
+      value: 'orphan',
+      stale: false,
+      listeners: 0,
+      mounted: false,
+      parents: [],
+      children: [],
+    },
+  ])
+  t.is(wrapper.listeners, 1)
+  t.deepEqual(wrapper.parents, [1])
+
+  store.set(counter, 2)
+  t.is(store.inspect().nodes[2].stale, true)
+  unsubscribe()
+
+  t.is(
+    store.inspect({ format: 'dot' }),
+    [
+      'digraph kinfolk {',
+      '  n0 [label="counter", shape=box];',
+      '  n1 [label="double", shape=ellipse];',
+      '  n2 [label="times(3)", shape=ellipse];',
+      '  n3 [label="orphan \\"quoted\\"", shape=ellipse];',
+      '  n0 -> n1;',
+      '  n1 -> n2;',
+      '}',
+    ].join('\n'),
+  )
+  t.is(
+    store.inspect({ format: 'mermaid' }),
+    [
+      'flowchart LR',
+      '  n0["counter"]',
+      '  n1("double")',
+      '  n2("times(3)")',
+      '  n3("orphan #quot;quoted#quot;")',
+      '  n0 --> n1',
+      '  n1 --> n2',
+    ].join('\n'),
+  )
+})
+
+test('middleware can log, veto, transform and replay updates', async (t) => {
+  const counter = atom(0, { label: 'counter' })
+  const name = atom('', { label: 'name' })
+
+  const calls = []
+  let replay
+  const store = createStore({
+    middleware: [
+      (atomRef, prev, next, dispatch) => {
+        calls.push([atomRef.label, prev, next])
+        dispatch(next)
+      },
+      // veto negative counts and clamp the count to 10
+      (atomRef, prev, next, dispatch) => {
+        if (atomRef !== counter) dispatch(next)
+        else if (next >= 0) dispatch(Math.min(next, 10))
+      },
+      // hold on to the name updates to replay them later
+      (atomRef, prev, next, dispatch) => {
+        if (atomRef === name) replay = () => dispatch(next)
+        else dispatch(next)
+      },
+    ],
+  })
+
+  const values = []
+  store.subscribe(counter, (value) => values.push(value))
+  store.set(counter, 5)
+  store.set(counter, -1)
+  store.set(counter, (c) => c * 4)
+  t.is(store.get(counter), 10)
+  t.deepEqual(values, [5, 10])
+
+  store.set(name, 'Jane')
+  t.is(store.get(name), '')
+  replay()
+  t.is(store.get(name), 'Jane')
+
+  t.deepEqual(calls, [
+    ['counter', 0, 5],
+    ['counter', 5, -1],
+    ['counter', 5, 20],
+    ['name', '', 'Jane'],
+  ])
+})
+
+test('logger middleware', async (t) => {
+  const logs = []
+  const console = {
+    group: (title) => logs.push(['group', title]),
+    groupCollapsed: (title) => logs.push(['groupCollapsed', title]),
+    log: (...args) => logs.push(['log', ...args]),
+    groupEnd: () => logs.push(['groupEnd']),
+  }
+  const counter = atom(0, { label: 'counter' })
+  const mouse = atom(null, { label: 'mouse' })
+  const store = createStore({
+    middleware: [
+      logger({
+        collapsed: true,
+        filter: (atomRef) => atomRef !== mouse,
+        console,
+      }),
+    ],
+  })
+
+  store.set(mouse, { x: 1, y: 2 })
+  store.set(counter, 1)
+  t.is(store.get(mouse).x, 1)
+  t.is(store.get(counter), 1)
+  t.deepEqual(logs, [
+    ['groupCollapsed', 'counter updated'],
+    ['log', 'prev', 0],
+    ['log', 'next', 1],
+    ['groupEnd'],
+  ])
+})
+
+test('validating atom updates', async (t) => {
+  const errors = []
+  const store = createStore({
+    onError: (error, { label }) => errors.push([label, error.message]),
+  })
+
+  // a predicate throwing on invalid updates, rolling back the batch
+  const count = atom(0, { label: 'count', validate: (n) => n >= 0 })
+  const other = atom(0, { label: 'other' })
+  t.throws(() => store.set(count, -1), {
+    message: 'Invalid state of atom "count"',
+  })
+  t.throws(() =>
+    store.batch(() => {
+      store.set(other, 1)
+      store.set(count, -1)
+    }),
+  )
+  t.is(store.get(count), 0)
+  t.is(store.get(other), 0)
+
+  // a standard schema rejecting the invalid updates
+  const session = atom(null, {
+    label: 'session',
+    onInvalid: 'reject',
+    validate: {
+      '~standard': {
+        version: 1,
+        vendor: 'test',
+        validate: (value) =>
+          value === null || typeof value.token === 'string'
+            ? { value }
+            : { issues: [{ message: 'Expected a token' }] },
+      },
+    },
+  })
+  store.set(session, { token: 'abc' })
+  store.set(session, { token: 123 })
+  t.deepEqual(store.get(session), { token: 'abc' })
+
+  // an object with a validate method reporting the invalid updates
+  const cart = atom([], {
+    label: 'cart',
+    onInvalid: 'report',
+    validate: {
+      validate: (items) =>
+        items.every((item) => item.qty > 0)
+          ? { value: items }
+          : { issues: [{ message: 'Expected a positive qty' }] },
+    },
+  })
+  store.set(cart, [{ qty: 0 }])
+  t.deepEqual(store.get(cart), [{ qty: 0 }])
+
+  t.deepEqual(errors, [
+    ['session', 'Invalid state of atom "session": Expected a token'],
+    ['cart', 'Invalid state of atom "cart": Expected a positive qty'],
+  ])
+})
+
+test('validating hydrated atoms', async (t) => {
+  const storage = createMemoryStorage()
+  storage.setItem('validated-volume', JSON.stringify({ state: 99, version: 0 }))
+
+  const valid = (n) => n >= 0 && n <= 10
+  const volume = atom(5, {
+    onInvalid: 'reject',
+    validate: valid,
+    persist: { key: 'validated-volume', storage },
+  })
+  const level = atom(1, {
+    label: 'level',
+    onInvalid: 'reject',
+    validate: valid,
+  })
+  const strict = atom(1, { label: 'strict', validate: valid })
+
+  // invalid restored states fall back to the initial state and are
+  // reported, even for the atoms that throw on the invalid updates
+  const errors = []
+  const onError = (error) => errors.push(error.message)
+  const store = createStore({
+    initialState: { level: -1, strict: 11 },
+    onError,
+  })
+  t.is(store.get(volume), 5)
+  t.is(store.get(level), 1)
+  t.is(store.get(strict), 1)
+  t.deepEqual(errors.slice(-1), ['Invalid state of atom "strict"'])
+  t.throws(() => store.set(strict, 11), {
+    message: 'Invalid state of atom "strict"',
+  })
+
+  store.hydrate({ level: 3, strict: 2 })
+  t.is(store.get(level), 3)
+  t.is(store.get(strict), 2)
+  store.hydrate({ level: 12, strict: 12 })
+  t.is(store.get(level), 3)
+  t.is(store.get(strict), 2)
+
+  // same for the async storages
+  const asyncStorage = {
+    getItem: async (key) => storage.getItem(key),
+    setItem: async (key, value) => storage.setItem(key, value),
+  }
+  storage.setItem('strict-volume', JSON.stringify({ state: 99, version: 0 }))
+  const strictVolume = atom(5, {
+    label: 'strictVolume',
+    validate: valid,
+    persist: { key: 'strict-volume', storage: asyncStorage },
+  })
+  errors.length = 0
+  t.is(store.get(strictVolume), 5)
+  await delay(0)
+  t.is(store.get(strictVolume), 5)
+  t.deepEqual(errors, ['Invalid state of atom "strictVolume"'])
+})
+
+test.serial('syncing atoms across tabs', async (t) => {
+  // an in-process fake of BroadcastChannel, delivering
+  // the messages to the other channels with the same name
+  const channels = new Set()
+  const messages = []
+  class FakeChannel {
+    constructor(name) {
+      this.name = name
+      channels.add(this)
+    }
+    postMessage(data) {
+      messages.push(data.key)
+      for (const channel of channels) {
+        if (channel !== this && channel.name === this.name) {
+          queueMicrotask(() =>
+            channel.onmessage({ data: structuredClone(data) }),
+          )
+        }
+      }
+    }
+    close() {
+      channels.delete(this)
+    }
+  }
+  const createChannel = (name) => new FakeChannel(name)
+
+  const cart = atom([], { key: 'synced-cart', sync: { channel: 'cart' } })
+  const prefs = atom(
+    { theme: 'light' },
+    {
+      key: 'synced-prefs',
+      sync: {
+        channel: 'prefs',
+        merge: (local, remote) => ({ ...local, ...remote }),
+      },
+    },
+  )
+  const local = atom(0, { key: 'not-synced' })
+
+  const tab1 = createStore({ createChannel })
+  const tab2 = createStore({ createChannel })
+  // tab3 only uses the atoms once they've been changed in the other tabs
+  const tab3 = createStore({ createChannel })
+  for (const tab of [tab1, tab2]) {
+    tab.get(cart)
+    tab.get(prefs)
+  }
+
+  tab1.set(cart, ['apple'])
+  tab1.set(local, 1)
+  await delay(1)
+  t.deepEqual(tab2.get(cart), ['apple'])
+  t.is(tab2.get(local), 0)
+
+  // the remote updates are not echoed back
+  t.deepEqual(messages, ['synced-cart'])
+
+  tab2.set(prefs, { font: 'serif' })
+  await delay(1)
+  t.deepEqual(tab1.get(prefs), { theme: 'light', font: 'serif' })
+  t.deepEqual(tab3.get(prefs), { theme: 'light', font: 'serif' })
+
+  // the last writer wins, and the simultaneous writes converge
+  tab1.set(cart, ['pear'])
+  await delay(5)
+  tab2.set(cart, ['plum'])
+  tab1.set(cart, ['kiwi'])
+  await delay(1)
+  t.deepEqual(tab1.get(cart), tab2.get(cart))
+  await delay(5)
+  tab2.set(cart, ['fig'])
+  await delay(1)
+  t.deepEqual(tab1.get(cart), ['fig'])
+  t.deepEqual(tab2.get(cart), ['fig'])
+  t.deepEqual(tab3.get(cart), ['fig'])
+
+  // the atoms defined after the stores were created sync too
+  const notes = atom('', { key: 'synced-notes', sync: { channel: 'notes' } })
+  tab1.set(notes, 'hello')
+  await delay(1)
+  t.is(tab2.get(notes), 'hello')
+  t.is(tab3.get(notes), 'hello')
+
+  // destroyed stores no longer sync
+  tab2.destroy()
+  tab3.destroy()
+  t.deepEqual([...channels].map((channel) => channel.name).sort(), [
+    'cart',
+    'notes',
+    'prefs',
+  ])
+  tab1.set(cart, ['lime'])
+  await delay(1)
+  t.deepEqual(tab2.get(cart), ['fig'])
+  tab1.destroy()
+})
+
+test.serial('Providers destroy the stores they create', async (t) => {
+  const channels = new Set()
+  class FakeChannel {
+    constructor(name) {
+      this.name = name
+      channels.add(this)
+    }
+    postMessage() {}
+    close() {
+      channels.delete(this)
+    }
+  }
+  window.BroadcastChannel = FakeChannel
+  const isOpen = () => [...channels].some(({ name }) => name === 'tabs')
+
+  try {
+    const tabs = atom([], { key: 'provider-tabs', sync: { channel: 'tabs' } })
+    function Tabs() {
+      return <div>{useSelector(tabs).length}</div>
+    }
+
+    const created = render(
+      <React.StrictMode>
+        <Provider>
+          <Tabs />
+        </Provider>
+      </React.StrictMode>,
+    )
+    t.true(isOpen())
+    created.unmount()
+    t.false(isOpen())
+
+    // the stores passed in are left open
+    const store = createStore()
+    const passed = render(
+      <Provider store={store}>
+        <Tabs />
+      </Provider>,
+    )
+    t.true(isOpen())
+    passed.unmount()
+    t.true(isOpen())
+    store.destroy()
+    t.is(channels.size, 0)
+  } finally {
+    delete window.BroadcastChannel
+  }
+})
+
+test.serial('stores on the server do not sync', async (t) => {
+  const cart = atom([], { key: 'server-cart', sync: { channel: 'cart' } })
+  const reqA = createStore()
+  const reqB = createStore()
+  reqA.get(cart)
+  reqB.get(cart)
+
+  reqA.set(cart, ['apple'])
+  await delay(5)
+  t.deepEqual(reqB.get(cart), [])
+  t.is(reqA.channels.size, 0)
+})
+
+test('nested Providers with scoped atoms', async (t) => {
+  const record = atom({ name: 'Jane' }, { label: 'record' })
+  const theme = atom('light', { label: 'theme' })
+  const summary = selector(() => `${record().name} (${theme()})`, {
+    label: 'summary',
+  })
+
+  function Summary({ id }) {
+    const value = useSelector(summary)
+    const setRecord = useSetter(record)
+    const setTheme = useSetter(theme)
+    return (
+      <div>
+        <div className={`summary-${id}`}>{value}</div>
+        <button
+          className={`rename-${id}`}
+          onClick={() => setRecord((r) => ({ ...r, name: r.name + '!' }))}
+        />
+        <button className={`theme-${id}`} onClick={() => setTheme('dark')} />
+      </div>
+    )
+  }
+
+  const { container } = render(
+    <Provider>
+      <Summary id='outer' />
+      <Provider scope={[record]}>
+        <Summary id='scoped' />
+      </Provider>
+      <Provider initialValues={[[record, { name: 'Draft' }]]}>
+        <Summary id='seeded' />
+      </Provider>
+    </Provider>,
+  )
+
+  const text = (id) => container.querySelector(`.summary-${id}`).innerHTML
+  t.is(text('outer'), 'Jane (light)')
+  t.is(text('scoped'), 'Jane (light)')
+  t.is(text('seeded'), 'Draft (light)')
+
+  // updating a scoped atom stays within the scope
+  fireEvent.click(container.querySelector('.rename-scoped'))
+  t.is(text('outer'), 'Jane (light)')
+  t.is(text('scoped'), 'Jane! (light)')
+  t.is(text('seeded'), 'Draft (light)')
+
+  fireEvent.click(container.querySelector('.rename-outer'))
+  t.is(text('outer'), 'Jane! (light)')
+  t.is(text('scoped'), 'Jane! (light)')
+  t.is(text('seeded'), 'Draft (light)')
+
+  // the atoms outside of the scope are shared with the parent
+  fireEvent.click(container.querySelector('.theme-seeded'))
+  t.is(text('outer'), 'Jane! (dark)')
+  t.is(text('scoped'), 'Jane! (dark)')
+  t.is(text('seeded'), 'Draft (dark)')
+})
+
+test('nested stores share the selectors not reading scoped atoms', async (t) => {
+  const record = atom({ name: 'Jane' }, { label: 'record' })
+  const theme = atom('light', { label: 'theme' })
+  const calls = []
+  const palette = selector(() => {
+    calls.push('palette')
+    return `${theme()} palette`
+  })
+  const summary = selector(() => {
+    calls.push('summary')
+    return `${record().name} (${palette()})`
+  })
+  const name = selector(() => record().name, {
+    set: ({ set }, name) => set(record, { name }),
+  })
+
+  const parent = createStore()
+  const child = createStore({ parent, scope: [record] })
+  t.is(parent.get(summary), 'Jane (light palette)')
+  t.deepEqual(calls, ['summary', 'palette'])
+
+  // the selectors are not evaluated again in the nested store
+  calls.length = 0
+  t.is(child.get(palette), 'light palette')
+  t.deepEqual(calls, [])
+
+  // unless they depend on the scoped atoms
+  child.set(record, { name: 'Draft' })
+  t.is(child.get(summary), 'Draft (light palette)')
+  t.is(parent.get(summary), 'Jane (light palette)')
+  t.deepEqual(calls, ['summary'])
+
+  calls.length = 0
+  child.set(theme, 'dark')
+  t.is(child.get(summary), 'Draft (dark palette)')
+  t.is(parent.get(summary), 'Jane (dark palette)')
+  t.deepEqual(calls, ['palette', 'summary', 'summary'])
+
+  // writable selectors update the scoped atoms of the nested store
+  const values = []
+  child.subscribe(summary, (value) => values.push(value))
+  child.set(name, 'Mia')
+  t.deepEqual(values, ['Mia (dark palette)'])
+  t.is(child.get(name), 'Mia')
+  t.is(parent.get(name), 'Jane')
+})
+
+test('parent stores never evaluate the selectors of nested stores', async (t) => {
+  const userId = atom(1, { label: 'userId' })
+  const theme = atom('light', { label: 'theme' })
+  const runs = []
+  const user = selector(() => {
+    runs.push(['user', userId()])
+    if (userId() === 1) throw new Error('Not signed in')
+    return `user ${userId()}`
+  })
+  const greeting = selector(() => {
+    runs.push(['greeting', theme()])
+    return `hello in ${theme()}`
+  })
+
+  const errors = []
+  const parent = createStore({ onError: (error) => errors.push(error) })
+  const child = createStore({ parent, initialValues: [[userId, 2]] })
+
+  // the selector reading the scoped atom only runs in the nested store
+  t.is(child.get(user), 'user 2')
+  t.deepEqual(runs, [['user', 2]])
+  t.deepEqual(errors, [])
+  t.false(parent.atomStates.has(userId))
+  t.false(parent.atomStates.has(user))
+
+  // including when read via other selectors
+  const profile = selector(() => `${user()} profile`)
+  t.is(child.get(profile), 'user 2 profile')
+  t.false(parent.atomStates.has(user))
+  t.false(parent.atomStates.has(profile))
+
+  // the selectors not reading the scoped atoms move up to the parent
+  t.is(child.get(greeting), 'hello in light')
+  t.is(parent.get(greeting), 'hello in light')
+  t.deepEqual(runs, [
+    ['user', 2],
+    ['greeting', 'light'],
+  ])
+  t.false(child.atomStates.has(greeting))
+
+  child.set(theme, 'dark')
+  t.is(child.get(greeting), 'hello in dark')
+  t.is(parent.get(greeting), 'hello in dark')
+  t.is(runs.length, 3)
+})
+
+test('batches in nested stores include the parent store', async (t) => {
+  const draft = atom('', { label: 'draft' })
+  const saved = atom('', { label: 'saved' })
+  const parent = createStore()
+  const child = createStore({ parent, scope: [draft] })
+
+  const calls = []
+  parent.subscribe(saved, (value) => calls.push(['parent', value]))
+  child.subscribe(saved, (value) => calls.push(['child', value]))
+
+  child.batch(() => {
+    child.set(draft, 'hello')
+    child.set(saved, child.get(draft))
+    t.deepEqual(calls, [])
+  })
+  t.deepEqual(calls, [
+    ['parent', 'hello'],
+    ['child', 'hello'],
+  ])
+  t.is(parent.get(saved), 'hello')
+  t.is(parent.get(draft), '')
+
+  t.throws(() =>
+    child.batch(() => {
+      child.set(draft, 'bye')
+      child.set(saved, 'bye')
+      throw new Error('Failed')
+    }),
+  )
+  t.is(child.get(draft), 'hello')
+  t.is(parent.get(saved), 'hello')
+})
+
+test('seeding atoms with initialValues', async (t) => {
+  const user = atom(null, { label: 'user' })
+  const flags = atom({}, { label: 'flags' })
+  const greeting = selector(() => (user() ? `Hi ${user().name}` : 'Hi'))
+
+  function App() {
+    return <div className='greeting'>{useSelector(greeting)}</div>
+  }
+
+  const { container } = render(
+    <Provider initialValues={[[user, { name: 'Jane' }]]}>
+      <App />
+    </Provider>,
+  )
+  t.is(container.querySelector('.greeting').innerHTML, 'Hi Jane')
+
+  // seeding does not count as an update
+  const store = createStore({
+    initialValues: new Map([
+      [user, { name: 'John' }],
+      [flags, { beta: true }],
+    ]),
+  })
+  const history = store.history([user, flags])
+  const calls = []
+  store.subscribe(greeting, (value) => calls.push(value))
+  t.is(store.get(greeting), 'Hi John')
+  t.deepEqual(store.get(flags), { beta: true })
+  t.false(store.get(history.canUndo))
+  t.deepEqual(calls, [])
+
+  t.throws(() => createStore({ initialValues: [[greeting, 'Hello']] }), {
+    message: 'Only atoms can be seeded with initialValues',
+  })
+})
+
+test('resetting atoms and the store', async (t) => {
+  const user = atom(null, { label: 'user' })
+  const cart = atom([], { label: 'cart' })
+  const flags = atom({}, { label: 'flags' })
+  let calls = 0
+  const summary = selector(() => {
+    calls++
+    return `${user() ? user().name : 'guest'}: ${cart().length}`
+  })
+
+  const store = createStore({ initialValues: [[flags, { beta: true }]] })
+  const values = []
+  store.subscribe(summary, (value) => values.push(value))
+  store.batch(() => {
+    store.set(user, { name: 'Jane' })
+    store.set(cart, ['apple'])
+    store.set(flags, {})
+  })
+  t.deepEqual(values, ['Jane: 1'])
+
+  store.reset(cart)
+  t.deepEqual(store.get(cart), [])
+  t.deepEqual(values, ['Jane: 1', 'Jane: 0'])
+
+  // resetting the store notifies the listeners once,
+  // recomputing all of the selectors
+  const before = calls
+  store.reset()
+  t.is(store.get(user), null)
+  t.deepEqual(store.get(flags), { beta: true })
+  t.deepEqual(values, ['Jane: 1', 'Jane: 0', 'guest: 0'])
+  t.is(calls, before + 1)
+
+  t.throws(() => store.reset(summary), { message: 'Only atoms can be reset' })
+})
+
+test('useResetter', async (t) => {
+  const counter = atom(0, { label: 'counter' })
+
+  function App() {
+    const count = useSelector(counter)
+    const setCounter = useSetter(counter)
+    const resetCounter = useResetter(counter)
+    return (
+      <div>
+        <div className='count'>{count}</div>
+        <button className='inc' onClick={() => setCounter((c) => c + 1)} />
+        <button className='reset' onClick={resetCounter} />
+      </div>
+    )
+  }
+
+  const { container } = render(
+    <Provider>
+      <App />
+    </Provider>,
+  )
+  fireEvent.click(container.querySelector('.inc'))
+  fireEvent.click(container.querySelector('.inc'))
+  t.is(container.querySelector('.count').innerHTML, '2')
+  fireEvent.click(container.querySelector('.reset'))
+  t.is(container.querySelector('.count').innerHTML, '0')
+})
+
+test('lazy atoms compute the initial state once per store', async (t) => {
+  let calls = 0
+  const config = atom({ currency: 'EUR' }, { label: 'config' })
+  const prices = atom(
+    () => {
+      calls++
+      return new Map([['apple', `1 ${config().currency}`]])
+    },
+    { label: 'prices', lazy: true },
+  )
+  const apple = selector(() => prices().get('apple'))
+  const handler = atom(() => 'not lazy', { label: 'handler' })
+  t.is(calls, 0)
+
+  const store1 = createStore()
+  t.is(store1.get(apple), '1 EUR')
+  t.is(store1.get(apple), '1 EUR')
+  t.is(calls, 1)
+  t.is(typeof store1.get(handler), 'function')
+
+  // the initial state is read once, it does not track the atoms it read
+  store1.set(config, { currency: 'USD' })
+  t.is(store1.get(apple), '1 EUR')
+  store1.reset(prices)
+  t.is(store1.get(apple), '1 USD')
+  t.is(calls, 2)
+
+  const store2 = createStore({ initialValues: [[config, { currency: 'GBP' }]] })
+  t.is(store2.get(apple), '1 GBP')
+  t.is(calls, 3)
+
+  // the initializer is not called for the seeded, dehydrated or
+  // persisted atoms, unless the state is found to be invalid
+  let filterCalls = 0
+  const memory = createMemoryStorage()
+  const filter = atom(
+    () => {
+      filterCalls++
+      return 'all'
+    },
+    {
+      key: 'filter',
+      lazy: true,
+      persist: { storage: memory },
+      validate: (value) => value !== 'invalid',
+      onInvalid: 'reject',
+    },
+  )
+  t.is(createStore({ initialValues: [[filter, 'done']] }).get(filter), 'done')
+  t.is(createStore({ initialState: { filter: 'open' } }).get(filter), 'open')
+  memory.setItem('filter', JSON.stringify({ state: 'open', version: 0 }))
+  t.is(createStore().get(filter), 'open')
+  t.is(filterCalls, 0)
+  t.is(createStore({ initialState: { filter: 'invalid' } }).get(filter), 'all')
+  t.is(filterCalls, 1)
+
+  const a = atom(() => b(), { label: 'lazy-a', lazy: true })
+  const b = atom(() => a(), { label: 'lazy-b', lazy: true })
+  t.throws(() => store2.get(a), {
+    message: 'Circular dependency in the initial state of atom "lazy-a"',
+  })
+  t.throws(() => atom(1, { lazy: true }), {
+    message: 'Lazy atoms require an initializer function',
+  })
+})
+
+test.serial('history is not part of the devtools state', async (t) => {
+  const messages = []
+  let dispatch
+  window.__REDUX_DEVTOOLS_EXTENSION__ = {
+    connect: () => ({
+      init: (state) => messages.push(['init', state]),
+      send: (action, state) => messages.push(['send', action, state]),
+      subscribe: (fn) => {
+        dispatch = fn
+      },
+    }),
+  }
+
+  try {
+    const store = createStore()
+    const counter = atom(0, { label: 'counter' })
+    const history = store.history([counter])
+    const disconnect = connectDevTools(store)
+    store.set(counter, 1)
+    store.set(counter, 2)
+
+    t.deepEqual(store.debug(), { counter: 2, __selectors: {} })
+    t.deepEqual(messages.at(-1), [
+      'send',
+      { type: 'counter', payload: 2 },
+      { counter: 2, __selectors: {} },
+    ])
+
+    // travelling keeps the recorded history intact
+    dispatch({
+      type: 'DISPATCH',
+      payload: { type: 'JUMP_TO_STATE' },
+      state: JSON.stringify({ counter: 0, __selectors: {} }),
+    })
+    t.is(store.get(counter), 0)
+    history.undo()
+    t.is(store.get(counter), 2)
+    history.undo()
+    t.is(store.get(counter), 1)
+
+    dispatch({ type: 'DISPATCH', payload: { type: 'RESET' } })
+    t.is(store.get(counter), 0)
+    t.true(store.get(history.canUndo))
+    disconnect()
+  } finally {
+    delete window.__REDUX_DEVTOOLS_EXTENSION__
+  }
+})
+
+test.serial('devtools tell apart the atoms sharing a label', async (t) => {
+  const messages = []
+  let dispatch
+  window.__REDUX_DEVTOOLS_EXTENSION__ = {
+    connect: () => ({
+      init: (state) => messages.push(['init', state]),
+      send: (action, state) => messages.push(['send', action, state]),
+      subscribe: (fn) => {
+        dispatch = fn
+      },
+    }),
+  }
+
+  try {
+    const first = atom('Jane', { label: 'name' })
+    const last = atom('Doe', { label: 'name' })
+    const store = createStore({ initialValues: [[last, 'Roe']] })
+    store.get(first)
+    store.get(last)
+    const disconnect = connectDevTools(store)
+    t.deepEqual(messages.at(-1), [
+      'init',
+      { name: 'Jane', 'name (2)': 'Roe', __selectors: {} },
+    ])
+
+    store.set(last, 'Smith')
+    t.deepEqual(messages.at(-1), [
+      'send',
+      { type: 'name (2)', payload: 'Smith' },
+      { name: 'Jane', 'name (2)': 'Smith', __selectors: {} },
+    ])
+
+    dispatch({
+      type: 'DISPATCH',
+      payload: { type: 'JUMP_TO_STATE' },
+      state: JSON.stringify({ name: 'John', 'name (2)': 'Doe' }),
+    })
+    t.is(store.get(first), 'John')
+    t.is(store.get(last), 'Doe')
+
+    // resetting restores the values the store was seeded with
+    dispatch({ type: 'DISPATCH', payload: { type: 'RESET' } })
+    t.is(store.get(first), 'Jane')
+    t.is(store.get(last), 'Roe')
+    t.is(messages.at(-1)[0], 'init')
+    disconnect()
+  } finally {
+    delete window.__REDUX_DEVTOOLS_EXTENSION__
+  }
+})
+
+test('history with a limit of zero records nothing', async (t) => {
+  const store = createStore()
+  const counter = atom(0)
+  const history = store.history([counter], { limit: 0 })
+  store.set(counter, 1)
+  t.false(store.get(history.canUndo))
+
+  t.throws(() => store.history([counter], { limit: -1 }), {
+    message: 'History limit must be zero or more',
+  })
+})
+
 function mounted(store) {
   const atomStates = Array.from(store.atomStates.values())
   return atomStates.map((a) => a.label)
 }
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}